@@ -0,0 +1,146 @@
+// User accounts: roles, what each role may do, and validation for the user-management API
+
+// Permissions of each role. Uploaders can change and delete only the images they uploaded;
+// images without an owner (uploaded with the shared API key or before accounts had roles) are
+// left to admins.
+const ROLES = {
+  admin: [
+    'images:read',
+    'images:upload',
+    'images:manage-own',
+    'images:manage-any',
+    'collections:manage',
+    'presets:manage',
+    'cache:manage',
+    'users:manage',
+    'audit:read'
+  ],
+  uploader: ['images:read', 'images:upload', 'images:manage-own'],
+  viewer: ['images:read']
+};
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything longer
+
+// Error raised for account requests the client got wrong (sent back with the given status)
+class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+// Accounts created before roles existed could do everything, so they count as admins
+function roleOf(user) {
+  return user.role || 'admin';
+}
+
+// Permissions of a request that passed validateToken: those of the account's role, narrowed
+// down to the key's scopes for API keys. The shared legacy API key has full access.
+function requestPermissions(req) {
+  return req.user ? req.user.permissions : ROLES.admin;
+}
+
+// Username recorded as the owner of images uploaded by this request (null for the shared API key)
+function requestOwner(req) {
+  return req.user ? req.user.username : null;
+}
+
+// Whether the request may change or delete an image
+function canManageImage(req, imageMeta) {
+  const permissions = requestPermissions(req);
+  if (permissions.includes('images:manage-any')) {
+    return true;
+  }
+  return permissions.includes('images:manage-own') && Boolean(imageMeta.ownerId) && imageMeta.ownerId === requestOwner(req);
+}
+
+function parseRole(value) {
+  if (!ROLES[value]) {
+    throw new AccountError(`Invalid role. Allowed: ${Object.keys(ROLES).join(', ')}`);
+  }
+  return value;
+}
+
+function parsePassword(value) {
+  if (typeof value !== 'string' || value.length < MIN_PASSWORD_LENGTH || value.length > MAX_PASSWORD_LENGTH) {
+    throw new AccountError(`Invalid password. Must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`);
+  }
+  return value;
+}
+
+// Validate a create-user request. The role defaults to viewer.
+function parseNewUser(body) {
+  if (!body || typeof body !== 'object') {
+    throw new AccountError('Request body must be a JSON object');
+  }
+  if (typeof body.username !== 'string' || !USERNAME_PATTERN.test(body.username)) {
+    throw new AccountError('Invalid username. Use 3-32 letters, digits and _ . -');
+  }
+  return {
+    username: body.username,
+    password: parsePassword(body.password),
+    role: body.role === undefined ? 'viewer' : parseRole(body.role)
+  };
+}
+
+// Validate an update-user request: role and/or disabled
+function parseUserPatch(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new AccountError('Request body must be a JSON object');
+  }
+  const unknown = Object.keys(body).filter(field => !['role', 'disabled'].includes(field));
+  if (unknown.length > 0) {
+    throw new AccountError(`Unknown field${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}. Editable: role, disabled`);
+  }
+  if (Object.keys(body).length === 0) {
+    throw new AccountError('Nothing to change. Editable: role, disabled');
+  }
+
+  const changes = {};
+  if (body.role !== undefined) {
+    changes.role = parseRole(body.role);
+  }
+  if (body.disabled !== undefined) {
+    if (typeof body.disabled !== 'boolean') {
+      throw new AccountError('Invalid disabled. Must be true or false');
+    }
+    changes.disabled = body.disabled;
+  }
+  return changes;
+}
+
+// Whether these accounts still include an admin who can sign in
+function hasActiveAdmin(allUsers) {
+  return allUsers.some(user => roleOf(user) === 'admin' && !user.disabled);
+}
+
+// What the API shows of an account (never the password hash, TOTP secret or recovery codes)
+function userResponse(user) {
+  const role = roleOf(user);
+  return {
+    username: user.username,
+    role: role,
+    permissions: ROLES[role],
+    disabled: user.disabled || false,
+    totpEnabled: user.totpEnabled || false,
+    recoveryCodesLeft: user.totpEnabled ? (user.totpRecoveryCodes || []).length : 0,
+    passkeyCount: (user.passkeys || []).length,
+    createdAt: user.createdAt
+  };
+}
+
+module.exports = {
+  ROLES,
+  AccountError,
+  roleOf,
+  requestPermissions,
+  requestOwner,
+  canManageImage,
+  parsePassword,
+  parseNewUser,
+  parseUserPatch,
+  hasActiveAdmin,
+  userResponse
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { ROLES } = require('./accounts');
+
+// Per-user API keys. A key looks like cdn_<id>_<secret>: the id finds the record, and only a
+// SHA-256 hash of the secret is stored (the secret is random, so a slow password hash isn't
+// needed). A key acts for its owner, limited to its scopes and to what the owner's role allows.
+
+const KEY_PATTERN = /^cdn_([0-9a-f]{16})_([A-Za-z0-9_-]{32})$/;
+const SCOPES = {
+  read: ['images:read'],
+  upload: ['images:upload'],
+  delete: ['images:manage-own', 'images:manage-any'], // Also covers editing and replacing images
+  admin: ['collections:manage', 'presets:manage', 'cache:manage', 'users:manage', 'audit:read'] // Combine with the image scopes as needed
+};
+const MAX_EXPIRY_DAYS = 3650;
+
+// Error raised for API key requests the client got wrong (sent back with the given status)
+class ApiKeyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+  }
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// A new key: the full key is only shown once, the record keeps the id and the secret's hash
+function generateApiKey() {
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { id, key: `cdn_${id}_${secret}`, secretHash: hashSecret(secret) };
+}
+
+// Split a key into id and secret; null if it doesn't look like one of ours
+function parseApiKey(value) {
+  const match = typeof value === 'string' && KEY_PATTERN.exec(value);
+  return match ? { id: match[1], secret: match[2] } : null;
+}
+
+function verifyApiKeySecret(record, secret) {
+  const expected = Buffer.from(record.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function isExpired(record) {
+  return Boolean(record.expiresAt) && Date.parse(record.expiresAt) <= Date.now();
+}
+
+// Permissions a key with these scopes has when its owner has this role
+function keyPermissions(scopes, role) {
+  const granted = new Set(scopes.flatMap(scope => SCOPES[scope] || []));
+  return (ROLES[role] || []).filter(permission => granted.has(permission));
+}
+
+// Validate a create-key request from a user with the given role
+function parseNewApiKey(body, role) {
+  if (!body || typeof body !== 'object') {
+    throw new ApiKeyError('Request body must be a JSON object');
+  }
+  if (typeof body.name !== 'string' || body.name.trim().length === 0 || body.name.trim().length > 100) {
+    throw new ApiKeyError('Invalid name. Must be 1-100 characters');
+  }
+
+  const allowed = Object.keys(SCOPES);
+  if (!Array.isArray(body.scopes) || body.scopes.length === 0 || !body.scopes.every(scope => allowed.includes(scope))) {
+    throw new ApiKeyError(`Invalid scopes. Must be a non-empty list of: ${allowed.join(', ')}`);
+  }
+  const scopes = Array.from(new Set(body.scopes));
+  const unusable = scopes.filter(scope => keyPermissions([scope], role).length === 0);
+  if (unusable.length > 0) {
+    throw new ApiKeyError(`The ${role} role can't use the ${unusable.join(', ')} scope${unusable.length === 1 ? '' : 's'}`, 403);
+  }
+
+  let expiresAt = null;
+  if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+    const days = Number(body.expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      throw new ApiKeyError(`Invalid expiresInDays. Must be 1-${MAX_EXPIRY_DAYS}, or null for a key that doesn't expire`);
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  return { name: body.name.trim(), scopes, expiresAt };
+}
+
+// What the API shows of a key (never the secret or its hash)
+function apiKeyResponse(record) {
+  const { secretHash, ...rest } = record;
+  return { ...rest, expired: isExpired(record) };
+}
+
+module.exports = {
+  SCOPES,
+  ApiKeyError,
+  generateApiKey,
+  parseApiKey,
+  verifyApiKeySecret,
+  isExpired,
+  keyPermissions,
+  parseNewApiKey,
+  apiKeyResponse
+};
@@ -0,0 +1,266 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+
+// Audit log: who signed in, changed their second factor, used an API key, and uploaded, deleted or
+// changed the visibility of images. Events are appended to config.auditLogPath as one JSON line
+// each and never changed. When the file grows past config.auditMaxBytes it is renamed to
+// audit.log.1 (older files move up to .2, .3, ...) and only config.auditMaxFiles old files are
+// kept, so the log stays bounded on disk.
+
+const ACTIONS = [
+  'auth.login',
+  'auth.totp.enable',
+  'auth.totp.disable',
+  'apikey.use',
+  'image.upload',
+  'image.delete',
+  'image.visibility'
+];
+const OUTCOMES = ['success', 'failure'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const MAX_FIELD_LENGTH = 200;
+
+let logSize = 0;
+let writeQueue = Promise.resolve();
+
+// Error raised for audit queries the client got wrong (sent back with the given status)
+class AuditQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuditQueryError';
+    this.status = status;
+  }
+}
+
+// Run fn after every earlier write or query, so rotation never happens halfway through a read
+function enqueue(fn) {
+  const run = writeQueue.then(fn);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function rotatedPath(index) {
+  return `${config.auditLogPath}.${index}`;
+}
+
+// Create the log directory and pick up the size of the current file
+async function initAudit() {
+  await fs.mkdir(path.dirname(config.auditLogPath), { recursive: true });
+  try {
+    logSize = (await fs.stat(config.auditLogPath)).size;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    logSize = 0;
+  }
+}
+
+async function rename(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+// Move audit.log to audit.log.1, shifting older files up and dropping the oldest
+async function rotate() {
+  await fs.rm(rotatedPath(config.auditMaxFiles), { force: true });
+  for (let index = config.auditMaxFiles - 1; index >= 1; index--) {
+    await rename(rotatedPath(index), rotatedPath(index + 1));
+  }
+  if (config.auditMaxFiles > 0) {
+    await rename(config.auditLogPath, rotatedPath(1));
+  } else {
+    await fs.rm(config.auditLogPath, { force: true });
+  }
+  logSize = 0;
+  console.log('🗂️ Rotated the audit log');
+}
+
+// Strings from requests are cut short, so one event can't take up much of the log
+function clip(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return String(value).slice(0, MAX_FIELD_LENGTH);
+}
+
+// Record an event. The actor and API key default to whoever made the request (the actor is null for
+// the shared legacy API key); sign-in events name the account being signed in to instead. Never
+// throws: a failed write is logged, and the request carries on.
+function audit(req, action, { outcome = 'success', actor, apiKeyId, target = null, details = {} } = {}) {
+  const event = {
+    time: new Date().toISOString(),
+    action,
+    outcome,
+    actor: clip(actor !== undefined ? actor : req.user && req.user.username),
+    apiKeyId: apiKeyId !== undefined ? apiKeyId : (req.user && req.user.apiKeyId) || null,
+    ip: req.ip || null,
+    userAgent: clip(req.get('User-Agent')),
+    target: clip(target),
+    details
+  };
+  const line = `${JSON.stringify(event)}\n`;
+
+  return enqueue(async () => {
+    if (logSize > 0 && logSize + Buffer.byteLength(line) > config.auditMaxBytes) {
+      await rotate();
+    }
+    await fs.appendFile(config.auditLogPath, line);
+    logSize += Buffer.byteLength(line);
+  }).catch(error => console.error('Audit log error:', error));
+}
+
+function parseTime(value, name) {
+  const time = Date.parse(value);
+  if (typeof value !== 'string' || Number.isNaN(time)) {
+    throw new AuditQueryError(`Invalid ${name}. Use an ISO 8601 date or time`);
+  }
+  return time;
+}
+
+function parseInteger(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+    throw new AuditQueryError(max === undefined
+      ? `Invalid ${name}. Must be a non-negative integer`
+      : `Invalid ${name}. Must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Parse the query string of GET /api/audit. action takes a comma-separated list of actions or
+// prefixes (auth matches auth.login, auth.totp.enable, ...); the other filters match exactly.
+function parseAuditQuery(query) {
+  const params = {
+    actions: null,
+    actor: null,
+    target: null,
+    apiKeyId: null,
+    ip: null,
+    outcome: null,
+    from: null,
+    to: null,
+    limit: DEFAULT_LIMIT,
+    offset: 0
+  };
+
+  if (query.action !== undefined) {
+    params.actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+    const unknown = params.actions.filter(filter => !ACTIONS.some(action => action === filter || action.startsWith(`${filter}.`)));
+    if (params.actions.length === 0 || unknown.length > 0) {
+      throw new AuditQueryError(`Invalid action. Allowed: ${ACTIONS.join(', ')} (or a prefix such as auth)`);
+    }
+  }
+  for (const field of ['actor', 'target', 'apiKeyId', 'ip']) {
+    if (query[field] !== undefined) {
+      params[field] = String(query[field]);
+    }
+  }
+  if (query.outcome !== undefined) {
+    if (!OUTCOMES.includes(query.outcome)) {
+      throw new AuditQueryError(`Invalid outcome. Allowed: ${OUTCOMES.join(', ')}`);
+    }
+    params.outcome = query.outcome;
+  }
+  if (query.from !== undefined) {
+    params.from = parseTime(query.from, 'from');
+  }
+  if (query.to !== undefined) {
+    params.to = parseTime(query.to, 'to');
+  }
+  if (query.limit !== undefined) {
+    params.limit = parseInteger(query.limit, 'limit', 1, MAX_LIMIT);
+  }
+  if (query.offset !== undefined) {
+    params.offset = parseInteger(query.offset, 'offset', 0);
+  }
+  return params;
+}
+
+function matches(event, params) {
+  if (params.actions && !params.actions.some(filter => event.action === filter || event.action.startsWith(`${filter}.`))) {
+    return false;
+  }
+  for (const field of ['actor', 'target', 'apiKeyId', 'ip', 'outcome']) {
+    if (params[field] !== null && event[field] !== params[field]) {
+      return false;
+    }
+  }
+  const time = Date.parse(event.time);
+  if (params.from !== null && time < params.from) {
+    return false;
+  }
+  if (params.to !== null && time > params.to) {
+    return false;
+  }
+  return true;
+}
+
+// Events of one log file, newest first. A line cut short by a crash is skipped.
+async function readEvents(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  const events = [];
+  for (const line of content.split('\n')) {
+    if (!line) {
+      continue;
+    }
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // Partial line
+    }
+  }
+  return events.reverse();
+}
+
+// Events matching parsed query parameters, newest first. Returns the page, the number of matching
+// events and where the next page starts.
+function queryAudit(params) {
+  return enqueue(async () => {
+    const files = [config.auditLogPath];
+    for (let index = 1; index <= config.auditMaxFiles; index++) {
+      files.push(rotatedPath(index));
+    }
+
+    const matching = [];
+    for (const file of files) {
+      for (const event of await readEvents(file)) {
+        if (matches(event, params)) {
+          matching.push(event);
+        }
+      }
+    }
+
+    const events = matching.slice(params.offset, params.offset + params.limit);
+    const hasMore = params.offset + events.length < matching.length;
+    return {
+      events,
+      total: matching.length,
+      nextOffset: hasMore ? params.offset + events.length : null
+    };
+  });
+}
+
+module.exports = {
+  ACTIONS,
+  AuditQueryError,
+  initAudit,
+  audit,
+  parseAuditQuery,
+  queryAudit
+};
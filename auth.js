@@ -1,14 +1,15 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const speakeasy = require('speakeasy');
 const qrcode = require('qrcode');
 const jwt = require('jsonwebtoken');
 const config = require('./config');
-const { loadUsers, saveUsers } = require('./storage');
+const { users } = require('./storage');
 
-// Generate JWT token
-function generateToken(userId, username) {
+// Generate JWT access token for a login session (see sessions.js)
+function generateToken(userId, username, sessionId) {
   return jwt.sign(
-    { userId, username },
+    { userId, username, sid: sessionId },
     config.jwtSecret,
     { expiresIn: config.jwtExpiresIn }
   );
@@ -43,14 +44,56 @@ function generateTotpSecret(username) {
   });
 }
 
-// Verify TOTP token
-function verifyTotpToken(secret, token) {
-  return speakeasy.totp.verify({
+const TOTP_STEP_SECONDS = 30;
+
+// Verify TOTP token. Returns the time step the code belongs to, or null when the code is wrong or
+// its step isn't after lastStep (the step of the last code the user signed in with), so a code
+// can't be used twice.
+function verifyTotpToken(secret, token, lastStep = null) {
+  if (!token) {
+    return null;
+  }
+  const counter = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  const match = speakeasy.totp.verifyDelta({
     secret: secret,
     encoding: 'base32',
-    token: token,
+    token: String(token),
+    counter: counter,
     window: 2 // Allow 2 time steps (60 seconds) before/after current time
   });
+  if (!match) {
+    return null;
+  }
+  const step = counter + match.delta;
+  return lastStep !== null && lastStep !== undefined && step <= lastStep ? null : step;
+}
+
+// Recovery codes are compared in lower case without dashes or spaces, so they can be typed loosely
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// A fresh set of one-time recovery codes: the codes, shown to the user once, and their hashes to store
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: config.totpRecoveryCodes }, () =>
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-'));
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Check the second factor of a user with TOTP on: a TOTP code, or one of their recovery codes.
+// Returns the user fields to save so the code can't be used again, or null when it isn't valid.
+function useSecondFactor(user, { token, recoveryCode }) {
+  if (token) {
+    const step = verifyTotpToken(user.totpSecret, token, user.totpLastStep);
+    return step === null ? null : { totpLastStep: step };
+  }
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = user.totpRecoveryCodes || [];
+    return remaining.includes(hash) ? { totpRecoveryCodes: remaining.filter(candidate => candidate !== hash) } : null;
+  }
+  return null;
 }
 
 // Generate QR code for TOTP setup
@@ -64,21 +107,18 @@ async function generateQrCodeUrl(otpauthUrl) {
 
 // Create default admin user (if no users exist)
 async function createDefaultAdmin() {
-  const users = await loadUsers();
-  
-  if (Object.keys(users).length === 0) {
+  if (users.count() === 0) {
     const defaultPassword = process.env.ADMIN_PASSWORD || 'admin123';
     const hashedPassword = await hashPassword(defaultPassword);
     
-    users.admin = {
+    await users.put('admin', {
       username: 'admin',
       passwordHash: hashedPassword,
+      role: 'admin',
       createdAt: new Date().toISOString(),
       totpSecret: null,
       totpEnabled: false
-    };
-    
-    await saveUsers(users);
+    });
     console.log('⚠️  Default admin user created!');
     console.log('   Username: admin');
     console.log('   Password: admin123 (or ADMIN_PASSWORD env variable)');
@@ -93,6 +133,8 @@ module.exports = {
   verifyPassword,
   generateTotpSecret,
   verifyTotpToken,
+  generateRecoveryCodes,
+  useSecondFactor,
   generateQrCodeUrl,
   createDefaultAdmin
 };
@@ -0,0 +1,183 @@
+const config = require('./config');
+
+// Cache keys look like "<imageId>_<content>_<variant>.<format>", e.g. "abc123_9f86d081884c7d65_200x200.webp",
+// where <content> is the start of the original's SHA-256. Replacing or restoring an original changes
+// the key, so a render of the old bytes that finishes after the purge is never served again.
+function cacheKeyFor(imageId, contentHash, variant, format) {
+  return `${imageId}_${contentHash.slice(0, 16)}_${variant}.${format}`;
+}
+
+// Keys written before the content hash was part of them ("<imageId>_<variant>.<format>") parse with
+// contentHash null, so they can still be purged
+function parseCacheKey(key) {
+  const separator = key.indexOf('_');
+  const extension = key.lastIndexOf('.');
+  if (separator <= 0 || extension <= separator) {
+    return null;
+  }
+  const rest = key.slice(separator + 1, extension);
+  const hashEnd = rest.indexOf('_');
+  return {
+    imageId: key.slice(0, separator),
+    contentHash: hashEnd === -1 ? null : rest.slice(0, hashEnd),
+    variant: rest.slice(hashEnd + 1),
+    format: key.slice(extension + 1)
+  };
+}
+
+// Size-bounded cache of transformed images on top of a storage driver.
+// Keeps an in-memory index of entries with their last access time; when the total size goes over
+// config.cacheMaxBytes, the least recently used entries are deleted until it is back under
+// config.cacheLowWaterRatio of the budget.
+function createVariantCache(driver) {
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+  let totalBytes = 0;
+  let evicting = null;
+
+  function track(key, size, lastAccess) {
+    untrack(key);
+    entries.set(key, { size, lastAccess });
+    totalBytes += size;
+  }
+
+  function untrack(key) {
+    const entry = entries.get(key);
+    if (entry) {
+      totalBytes -= entry.size;
+      entries.delete(key);
+    }
+  }
+
+  async function evict() {
+    const target = config.cacheMaxBytes * config.cacheLowWaterRatio;
+    const oldestFirst = Array.from(entries.entries()).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+    for (const [key] of oldestFirst) {
+      if (totalBytes <= target) {
+        break;
+      }
+      try {
+        await driver.delete(key);
+        untrack(key);
+        counters.evictions++;
+      } catch (error) {
+        console.warn('Cache eviction warning:', error);
+      }
+    }
+  }
+
+  function evictIfNeeded() {
+    if (!config.cacheMaxBytes || totalBytes <= config.cacheMaxBytes || evicting) {
+      return evicting;
+    }
+    evicting = evict().finally(() => {
+      evicting = null;
+    });
+    return evicting;
+  }
+
+  // Delete every entry whose parsed key matches the predicate; resolves to the number removed
+  async function purge(predicate) {
+    const stored = await driver.list();
+    let removed = 0;
+    for (const { key } of stored) {
+      const parsed = parseCacheKey(key);
+      if (!parsed || !predicate(parsed)) {
+        continue;
+      }
+      try {
+        await driver.delete(key);
+        removed++;
+      } catch (error) {
+        console.warn('Cache delete warning:', error);
+      }
+      untrack(key);
+    }
+    return removed;
+  }
+
+  return {
+    // Build the index from what is already stored (last access starts at the file's modification time)
+    async init() {
+      await driver.init();
+      for (const { key, size, lastModified } of await driver.list()) {
+        track(key, size, new Date(lastModified).getTime());
+      }
+      await evictIfNeeded();
+    },
+
+    // Size and modification time of a cached entry, or null on a miss. Counts as an access.
+    async lookup(key) {
+      const stat = await driver.stat(key);
+      if (!stat) {
+        untrack(key);
+        counters.misses++;
+        return null;
+      }
+      track(key, stat.size, Date.now());
+      counters.hits++;
+      return stat;
+    },
+
+    createReadStream(key) {
+      return driver.createReadStream(key);
+    },
+
+    async put(key, buffer, options) {
+      await driver.put(key, buffer, options);
+      track(key, buffer.length, Date.now());
+      // Eviction runs in the background; the response doesn't wait for it
+      evictIfNeeded();
+    },
+
+    purgeAll() {
+      return purge(() => true);
+    },
+
+    purgeImage(imageId) {
+      return purge(parsed => parsed.imageId === imageId);
+    },
+
+    // Purge several images in one pass over the cache (imageIds is a Set)
+    purgeImages(imageIds) {
+      if (imageIds.size === 0) {
+        return Promise.resolve(0);
+      }
+      return purge(parsed => imageIds.has(parsed.imageId));
+    },
+
+    purgeVariant(variant) {
+      return purge(parsed => parsed.variant === variant);
+    },
+
+    stats() {
+      const lookups = counters.hits + counters.misses;
+      let oldestAccess = null;
+      for (const { lastAccess } of entries.values()) {
+        if (oldestAccess === null || lastAccess < oldestAccess) {
+          oldestAccess = lastAccess;
+        }
+      }
+
+      return {
+        driver: driver.name,
+        entries: entries.size,
+        sizeBytes: totalBytes,
+        maxBytes: config.cacheMaxBytes || null,
+        usage: config.cacheMaxBytes ? totalBytes / config.cacheMaxBytes : null,
+        hits: counters.hits,
+        misses: counters.misses,
+        hitRate: lookups > 0 ? counters.hits / lookups : null,
+        evictions: counters.evictions,
+        oldestAccess: oldestAccess === null ? null : new Date(oldestAccess).toISOString()
+      };
+    }
+  };
+}
+
+module.exports = {
+  cacheKeyFor,
+  parseCacheKey,
+  createVariantCache
+};
@@ -0,0 +1,93 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Collections group images (an image is in at most one, via record.collectionId). A collection
+// can set the visibility of its images: isPublic true or false is applied to every image in it and
+// to images moved or uploaded into it; null leaves each image's own setting alone.
+
+// Error raised for collection requests the client got wrong (sent back with the given status)
+class CollectionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CollectionError';
+    this.status = status;
+  }
+}
+
+function parseName(value) {
+  if (typeof value !== 'string' || value.trim().length === 0 || value.trim().length > 100) {
+    throw new CollectionError('Invalid name. Must be 1-100 characters');
+  }
+  return value.trim();
+}
+
+function parseVisibility(value) {
+  if (value === null || value === true || value === false) {
+    return value;
+  }
+  throw new CollectionError('Invalid isPublic. Must be true, false or null (images keep their own visibility)');
+}
+
+// Collection record from a create (no existing) or update request
+function buildCollection(body, existing) {
+  if (!body || typeof body !== 'object') {
+    throw new CollectionError('Request body must be a JSON object');
+  }
+
+  const now = new Date().toISOString();
+  const collection = existing ? { ...existing } : {
+    id: uuidv4().replace(/-/g, ''),
+    name: null,
+    description: '',
+    isPublic: null,
+    createdAt: now
+  };
+
+  if (!existing || body.name !== undefined) {
+    collection.name = parseName(body.name);
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && (typeof body.description !== 'string' || body.description.length > 1000)) {
+      throw new CollectionError('Invalid description. Must be a string of at most 1000 characters');
+    }
+    collection.description = body.description || '';
+  }
+  if (body.isPublic !== undefined) {
+    collection.isPublic = parseVisibility(body.isPublic);
+  }
+  collection.updatedAt = now;
+  return collection;
+}
+
+// Whether another collection already uses this name (names are compared case-insensitively)
+function isNameTaken(allCollections, name, exceptId) {
+  const wanted = name.toLowerCase();
+  return allCollections.some(collection => collection.id !== exceptId && collection.name.toLowerCase() === wanted);
+}
+
+// An image record moved into a collection (null = out of any collection)
+function moveToCollection(imageMeta, collection) {
+  const next = { ...imageMeta, collectionId: collection ? collection.id : null };
+  if (collection && collection.isPublic !== null) {
+    next.isPublic = collection.isPublic;
+    if (collection.isPublic !== (imageMeta.isPublic === true)) {
+      next.metadataUpdatedAt = new Date().toISOString(); // Moves Last-Modified, like a metadata edit
+    }
+  }
+  return next;
+}
+
+// How an update changed an image's visibility ({ id, isPublic, previous }, as audited), or null if
+// it didn't
+function visibilityChange(before, after) {
+  const previous = before.isPublic === true;
+  const isPublic = after.isPublic === true;
+  return previous === isPublic ? null : { id: after.id, isPublic, previous };
+}
+
+module.exports = {
+  CollectionError,
+  buildCollection,
+  isNameTaken,
+  moveToCollection,
+  visibilityChange
+};
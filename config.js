@@ -4,36 +4,144 @@ module.exports = {
   
   // JWT configuration
   jwtSecret: process.env.JWT_SECRET || 'your-jwt-secret-change-this-in-production',
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m', // Access tokens; clients renew them with their refresh token
+  // Sessions stay signed in while they are refreshed at least this often
+  refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000,
   
-  // API authentication (legacy - kept for backward compatibility)
+  // Shared API key (legacy). Only accepted when ALLOW_LEGACY_API_KEY=true; it has full admin access
+  // and can't be rotated without breaking every integration, so prefer per-user API keys.
+  allowLegacyApiKey: process.env.ALLOW_LEGACY_API_KEY === 'true',
   apiKey: process.env.API_KEY || 'your-secret-api-key-change-this',
   
+  // Signed URLs for private images
+  urlSigningSecret: process.env.URL_SIGNING_SECRET || process.env.JWT_SECRET || 'your-url-signing-secret-change-this',
+  signedUrlDefaultTtl: 60 * 60, // 1 hour in seconds
+  signedUrlMaxTtl: 7 * 24 * 60 * 60, // 7 days in seconds
+  signedUrlPreviewTtl: 60 * 60, // Lifetime of dashboard preview links
+  
+  // Brute-force protection for login, the TOTP step and password changes. After authMaxFailures
+  // failures in a row from one IP address or for one account, further attempts are refused for
+  // authLockoutSeconds, doubling with every failure after that up to authLockoutMaxSeconds.
+  authMaxFailures: parseInt(process.env.AUTH_MAX_FAILURES || '5', 10),
+  authLockoutSeconds: 60,
+  authLockoutMaxSeconds: 60 * 60,
+  authFailureResetSeconds: 15 * 60, // Failures are forgotten after this long without another
+  totpMaxAttempts: 5, // Wrong codes per login before the password has to be entered again
+  
+  // Request-rate limits, per rateLimitWindow seconds (0 = no limit). Over the limit, requests get a
+  // 429 with Retry-After.
+  imageRateLimit: parseInt(process.env.IMAGE_RATE_LIMIT || '600', 10), // /images/*, per IP address
+  uploadRateLimit: parseInt(process.env.UPLOAD_RATE_LIMIT || '60', 10), // Upload requests, per user
+  rateLimitWindow: 60,
+  // Reverse proxies in front of the server (e.g. 1 behind nginx), so limits apply to the client's
+  // IP address from X-Forwarded-For rather than the proxy's
+  trustProxyHops: parseInt(process.env.TRUST_PROXY_HOPS || '0', 10),
+  
   // Image settings
   maxFileSize: 50 * 1024 * 1024, // 50MB (increased for e-commerce product images)
   allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+  maxBatchFiles: 100, // Files per /api/upload/batch request
+  maxBulkImages: 500, // Images per bulk action or zip download
+  // What to do when an upload has the same content as an existing image: 'share' (new record that
+  // points at the stored original), 'reuse' (return the existing record if the uploader owns it,
+  // otherwise share) or 'off' (store another copy)
+  dedupMode: process.env.DEDUP_MODE || 'share',
+  // Previous originals kept per image when one is replaced (PUT /api/images/:id); 0 keeps none
+  maxImageVersions: parseInt(process.env.MAX_IMAGE_VERSIONS || '5', 10),
+  // Optional rules applied to every upload
+  uploadPolicy: {
+    stripMetadata: process.env.STRIP_METADATA === 'true', // Remove EXIF/XMP/IPTC (GPS position, camera) from originals
+    maxWidth: parseInt(process.env.UPLOAD_MAX_WIDTH, 10) || 0, // Reject wider images (0 = no limit)
+    maxHeight: parseInt(process.env.UPLOAD_MAX_HEIGHT, 10) || 0 // Reject taller images (0 = no limit)
+  },
+  resumableChunkSize: 5 * 1024 * 1024, // Largest chunk accepted by PATCH /api/uploads/:id
+  resumableUploadTtl: 24 * 60 * 60 * 1000, // Unfinished uploads are deleted after this long without a chunk (ms)
+  resumableCleanupInterval: 60 * 60 * 1000, // How often abandoned uploads are looked for (ms)
   
   // Storage paths
   storagePath: './storage',
   originalsPath: './storage/originals',
   cachePath: './storage/cache',
-  metadataPath: './storage/metadata.json',
+  uploadTempPath: './storage/tmp', // Uploads land here until they are moved into the originals storage
+  resumableUploadPath: './storage/uploads', // Partial resumable uploads
+  databasePath: './storage/cdn.db', // Append-only log holding images, users and presets
+  databaseCompactThreshold: 1000, // Rewrite the log once it has this many entries and is mostly history
+  metadataPath: './storage/metadata.json', // Legacy JSON files, migrated into the database on first start
+  presetsPath: './storage/presets.json',
+  
+  // Storage backends for originals and cached variants: 'local' (the paths above) or 's3'
+  storageDriver: process.env.STORAGE_DRIVER || 'local',
+  cacheDriver: process.env.CACHE_DRIVER || process.env.STORAGE_DRIVER || 'local',
+  s3: {
+    endpoint: process.env.S3_ENDPOINT, // e.g. http://nas.local:9000 for MinIO; leave unset for AWS
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false', // Most S3-compatible servers need path-style URLs
+    prefix: process.env.S3_PREFIX || ''
+  },
   
   // Image processing
   defaultQuality: 85,
+  maxDimension: 5000, // Largest width/height a transformation may request
   formats: {
     jpeg: { quality: 85 },
     png: { quality: 90 },
-    webp: { quality: 85 }
+    webp: { quality: 85 },
+    avif: { quality: 50 }
   },
   
+  // Named transformation presets (/images/:id/p/:preset)
+  thumbnailPreset: 'thumb', // Used for the thumbnail URL of every image
+  // Set ALLOW_ARBITRARY_TRANSFORMS=false to only allow presets, so clients can't fill the cache with random sizes
+  // or formats
+  allowArbitraryTransforms: process.env.ALLOW_ARBITRARY_TRANSFORMS !== 'false',
+  
+  // On-the-fly rendering: concurrent sharp jobs, and how many more may wait before requests get a 503.
+  // At least one job runs, or nothing would ever render: 0 or a non-number falls back to the default.
+  renderConcurrency: Math.max(1, parseInt(process.env.RENDER_CONCURRENCY, 10) || 2),
+  renderQueueLimit: parseInt(process.env.RENDER_QUEUE_LIMIT || '50', 10),
+  renderRetryAfter: 5, // Seconds, sent in Retry-After when the queue is full
+  
+  // Pick the output format from the Accept header when the request doesn't name one
+  autoFormat: process.env.AUTO_FORMAT !== 'false',
+  negotiatedFormats: ['avif', 'webp'], // In order of preference
+  
   // Cache settings (for low traffic, simple is fine)
   cacheMaxAge: 31536000, // 1 year in seconds (CDN-style)
+  // Disk budget for resized variants; least recently used entries are evicted beyond it (0 = unlimited)
+  cacheMaxBytes: parseInt(process.env.CACHE_MAX_SIZE_MB || '1024', 10) * 1024 * 1024,
+  cacheLowWaterRatio: 0.9, // Evict down to 90% of the budget so eviction doesn't run on every write
   
-  // User storage
+  // User storage (legacy JSON file, migrated into the database on first start)
   usersPath: './storage/users.json',
   
   // TOTP settings
   totpIssuer: process.env.TOTP_ISSUER || 'Raspberry Pi CDN',
+  totpRecoveryCodes: 10, // One-time codes handed out when TOTP is enabled
+  
+  // Passkeys (WebAuthn). Passkeys only work on the domain they were registered for. By default
+  // that's the host the dashboard was opened on; behind a proxy set WEBAUTHN_RP_ID to the domain
+  // (e.g. cdn.example.com) and WEBAUTHN_ORIGIN to the URL users open (https://cdn.example.com).
+  webauthnRpName: process.env.WEBAUTHN_RP_NAME || process.env.TOTP_ISSUER || 'Raspberry Pi CDN',
+  webauthnRpId: process.env.WEBAUTHN_RP_ID || null,
+  webauthnOrigin: process.env.WEBAUTHN_ORIGIN || null,
+
+  // Login state that expires on its own (logins waiting for TOTP or a passkey, TOTP setups,
+  // passkey challenges). 'file' keeps it under stateStorePath, so it survives restarts; 'memory'
+  // keeps it in the process. The server runs as a single process per storage directory.
+  stateStore: process.env.STATE_STORE || 'file',
+  stateStorePath: './storage/state',
+  stateSweepInterval: 60 * 1000, // How often expired entries are removed
+  loginStepTtl: 5 * 60 * 1000, // Time to finish the second step after the password
+  totpSetupTtl: 10 * 60 * 1000, // Time to confirm a new TOTP secret
+
+  // Audit log of sign-ins, API key use and image changes. It is rotated when it reaches
+  // AUDIT_MAX_SIZE_MB, keeping AUDIT_MAX_FILES old files, so it takes at most
+  // (AUDIT_MAX_FILES + 1) x AUDIT_MAX_SIZE_MB on disk.
+  auditLogPath: './storage/audit/audit.log',
+  auditMaxBytes: parseInt(process.env.AUDIT_MAX_SIZE_MB || '5', 10) * 1024 * 1024,
+  auditMaxFiles: parseInt(process.env.AUDIT_MAX_FILES || '3', 10)
 };
 
@@ -0,0 +1,30 @@
+const config = require('../config');
+const { createLocalDriver } = require('./local');
+const { createS3Driver } = require('./s3');
+
+// Every driver implements the same interface:
+//   init()                          prepare the backend (create directories, check settings)
+//   put(key, buffer, { contentType })
+//   putFile(key, localPath, { contentType })  move a local file into storage
+//   get(key)                        Buffer, or null if missing
+//   stat(key)                       { size, lastModified }, or null if missing
+//   createReadStream(key)           readable stream of the object
+//   input(key)                      something sharp can read (a file path or a Buffer)
+//   delete(key)
+//   list(prefix)                    [{ key, size, lastModified }]
+
+// Create the driver for one storage area ('originals' or 'cache')
+function createDriver(area) {
+  const driver = area === 'cache' ? config.cacheDriver : config.storageDriver;
+
+  switch (driver) {
+    case 'local':
+      return createLocalDriver(area === 'cache' ? config.cachePath : config.originalsPath);
+    case 's3':
+      return createS3Driver({ ...config.s3, prefix: `${config.s3.prefix}${area}/` });
+    default:
+      throw new Error(`Unknown storage driver "${driver}". Use "local" or "s3"`);
+  }
+}
+
+module.exports = { createDriver };
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Storage driver that keeps objects as files in a directory on local disk (the SD card or a mounted NAS)
+function createLocalDriver(root) {
+  function filePath(key) {
+    if (!key || path.basename(key) !== key || key.startsWith('.')) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return path.join(root, key);
+  }
+
+  return {
+    name: 'local',
+
+    async init() {
+      await fsp.mkdir(root, { recursive: true });
+    },
+
+    // Store a buffer. Written to a temp file and renamed so readers never see a partial file.
+    async put(key, body) {
+      const target = filePath(key);
+      const tempPath = path.join(root, `.${key}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+      try {
+        await fsp.writeFile(tempPath, body);
+        await fsp.rename(tempPath, target);
+      } catch (error) {
+        await fsp.unlink(tempPath).catch(() => {});
+        throw error;
+      }
+    },
+
+    // Move a local file (e.g. a finished upload) into storage
+    async putFile(key, sourcePath) {
+      const target = filePath(key);
+      try {
+        await fsp.rename(sourcePath, target);
+      } catch (error) {
+        // rename fails across filesystems, e.g. when the storage directory is on a different mount
+        if (error.code !== 'EXDEV') {
+          throw error;
+        }
+        await this.put(key, await fsp.readFile(sourcePath));
+        await fsp.unlink(sourcePath);
+      }
+    },
+
+    async get(key) {
+      try {
+        return await fsp.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    // Size and modification time, or null if the object doesn't exist
+    async stat(key) {
+      try {
+        const stats = await fsp.stat(filePath(key));
+        return { size: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async createReadStream(key) {
+      return fs.createReadStream(filePath(key));
+    },
+
+    // What to hand to sharp: the file path, so large originals aren't read into memory first
+    async input(key) {
+      return filePath(key);
+    },
+
+    async delete(key) {
+      try {
+        await fsp.unlink(filePath(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async list(prefix = '') {
+      const names = await fsp.readdir(root);
+      const entries = [];
+      for (const name of names) {
+        if (!name.startsWith(prefix) || name.startsWith('.')) {
+          continue;
+        }
+        try {
+          const stats = await fsp.stat(path.join(root, name));
+          if (stats.isFile()) {
+            entries.push({ key: name, size: stats.size, lastModified: stats.mtime });
+          }
+        } catch {
+          // Deleted while listing
+        }
+      }
+      return entries;
+    }
+  };
+}
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+function isNotFound(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+// Storage driver for S3 and S3-compatible object stores (MinIO, Garage, Ceph, NAS appliances)
+function createS3Driver({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, prefix }) {
+  const client = new S3Client({
+    endpoint: endpoint || undefined,
+    region,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    // Only send checksums when S3 requires them; many S3-compatible servers don't support the newer ones
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED'
+  });
+
+  const objectKey = key => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+
+    async init() {
+      if (!bucket) {
+        throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+      }
+    },
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentType: contentType
+      }));
+    },
+
+    // Upload a local file (e.g. a finished upload) and remove it afterwards
+    async putFile(key, sourcePath, { contentType } = {}) {
+      const { size } = await fs.promises.stat(sourcePath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType
+      }));
+      await fs.promises.unlink(sourcePath);
+    },
+
+    async get(key) {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    // Size and modification time, or null if the object doesn't exist
+    async stat(key) {
+      try {
+        const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { size: response.ContentLength, lastModified: response.LastModified };
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async createReadStream(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return response.Body;
+    },
+
+    // What to hand to sharp: the object bytes (sharp can't read from S3 itself)
+    async input(key) {
+      return this.get(key);
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return true;
+    },
+
+    async list(keyPrefix = '') {
+      const entries = [];
+      let continuationToken;
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: objectKey(keyPrefix),
+          ContinuationToken: continuationToken
+        }));
+        for (const object of response.Contents || []) {
+          entries.push({
+            key: object.Key.slice(prefix.length),
+            size: object.Size,
+            lastModified: object.LastModified
+          });
+        }
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return entries;
+    }
+  };
+}
+
+module.exports = { createS3Driver };
@@ -0,0 +1,211 @@
+// Filtering, searching, sorting and paging for GET /api/images
+
+const SORTS = {
+  uploadedAt: img => img.uploadedAt || '',
+  size: img => img.size || 0,
+  name: img => (img.originalName || '').toLowerCase()
+};
+// Newest and largest first; names A-Z
+const DEFAULT_ORDER = { uploadedAt: 'desc', size: 'desc', name: 'asc' };
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Error raised for list parameters the client got wrong (sent back as 400)
+class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListQueryError';
+    this.status = 400;
+  }
+}
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Dates may be full timestamps or just YYYY-MM-DD; a plain date in `to` includes that whole day
+function parseDate(value, name, endOfDay) {
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(isDateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(time)) {
+    throw new ListQueryError(`Invalid ${name}. Use an ISO date such as 2024-05-01 or 2024-05-01T12:00:00Z`);
+  }
+  return new Date(time).toISOString();
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (position && typeof position.id === 'string' && position.value !== undefined) {
+      return position;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new ListQueryError('Invalid cursor');
+}
+
+// Parse the query string of GET /api/images. Paging only applies when limit, offset or cursor is
+// given, so existing clients that expect every image keep getting them.
+function parseListQuery(query) {
+  const params = {
+    visibility: null,
+    collection: null,
+    owner: null,
+    search: [],
+    tags: [],
+    formats: [],
+    from: null,
+    to: null,
+    sort: 'uploadedAt',
+    order: null,
+    paginate: false,
+    limit: null,
+    offset: 0,
+    cursor: null
+  };
+
+  if (query.filter !== undefined && query.filter !== 'all') {
+    if (!['public', 'private'].includes(query.filter)) {
+      throw new ListQueryError('Invalid filter. Allowed: all, public, private');
+    }
+    params.visibility = query.filter;
+  }
+  if (query.collection) {
+    // A collection id, or "none" for images that aren't in any collection
+    params.collection = String(query.collection);
+  }
+  if (query.owner) {
+    params.owner = String(query.owner);
+  }
+  if (query.q) {
+    params.search = String(query.q).toLowerCase().split(/\s+/).filter(Boolean);
+  }
+  if (query.tag) {
+    params.tags = parseList(query.tag);
+  }
+  if (query.format) {
+    params.formats = parseList(query.format).map(format => (format === 'jpg' ? 'jpeg' : format));
+  }
+  if (query.from) {
+    params.from = parseDate(query.from, 'from', false);
+  }
+  if (query.to) {
+    params.to = parseDate(query.to, 'to', true);
+  }
+
+  if (query.sort !== undefined) {
+    if (!SORTS[query.sort]) {
+      throw new ListQueryError(`Invalid sort. Allowed: ${Object.keys(SORTS).join(', ')}`);
+    }
+    params.sort = query.sort;
+  }
+  if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+    throw new ListQueryError('Invalid order. Allowed: asc, desc');
+  }
+  params.order = query.order || DEFAULT_ORDER[params.sort];
+
+  if (query.limit !== undefined || query.offset !== undefined || query.cursor !== undefined) {
+    params.paginate = true;
+    params.limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new ListQueryError(`Invalid limit. Must be an integer between 1 and ${MAX_LIMIT}`);
+      }
+      params.limit = limit;
+    }
+    if (query.offset !== undefined) {
+      const offset = Number(query.offset);
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new ListQueryError('Invalid offset. Must be a non-negative integer');
+      }
+      params.offset = offset;
+    }
+    if (query.cursor !== undefined) {
+      if (query.offset !== undefined) {
+        throw new ListQueryError('Use either cursor or offset, not both');
+      }
+      params.cursor = decodeCursor(String(query.cursor));
+    }
+  }
+
+  return params;
+}
+
+function matchesSearch(img, words) {
+  const haystack = [img.originalName, img.title, img.altText, ...(img.tags || [])]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+  return words.every(word => haystack.includes(word));
+}
+
+function matches(img, params) {
+  if (params.visibility && (img.isPublic === true) !== (params.visibility === 'public')) return false;
+  if (params.collection && (img.collectionId || 'none') !== params.collection) return false;
+  if (params.owner && img.ownerId !== params.owner) return false;
+  if (params.formats.length > 0 && !params.formats.includes(img.format)) return false;
+  if (params.tags.length > 0 && !params.tags.every(tag => (img.tags || []).includes(tag))) return false;
+  if (params.from && img.uploadedAt < params.from) return false;
+  if (params.to && img.uploadedAt > params.to) return false;
+  if (params.search.length > 0 && !matchesSearch(img, params.search)) return false;
+  return true;
+}
+
+// Order by the sort field, then by id so the order is stable and a cursor identifies one position
+function compareBy(order) {
+  const direction = order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    if (a.value < b.value) return -direction;
+    if (a.value > b.value) return direction;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+}
+
+// Apply parsed list parameters to all image records. Returns the page of records, the number
+// of matching records and where the next page starts.
+function listImages(allImages, params) {
+  const sortValue = SORTS[params.sort];
+  const compare = compareBy(params.order);
+  const entries = allImages
+    .filter(img => matches(img, params))
+    .map(img => ({ img, id: img.id, value: sortValue(img) }))
+    .sort(compare);
+
+  if (!params.paginate) {
+    return { images: entries.map(entry => entry.img), total: entries.length, nextCursor: null, nextOffset: null };
+  }
+
+  let start = params.offset;
+  if (params.cursor) {
+    if (params.cursor.sort !== params.sort || params.cursor.order !== params.order) {
+      throw new ListQueryError('The cursor belongs to a different sort order. Start again without a cursor');
+    }
+    start = entries.findIndex(entry => compare(entry, params.cursor) > 0);
+    if (start === -1) {
+      start = entries.length;
+    }
+  }
+
+  const page = entries.slice(start, start + params.limit);
+  const hasMore = start + page.length < entries.length;
+  const last = page[page.length - 1];
+
+  return {
+    images: page.map(entry => entry.img),
+    total: entries.length,
+    nextCursor: hasMore ? encodeCursor({ sort: params.sort, order: params.order, value: last.value, id: last.id }) : null,
+    nextOffset: hasMore ? start + page.length : null
+  };
+}
+
+module.exports = {
+  ListQueryError,
+  parseListQuery,
+  listImages
+};
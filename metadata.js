@@ -0,0 +1,125 @@
+const { parseTags } = require('./utils');
+
+// Descriptive fields of an image record that can be changed after upload (PATCH /api/images/:id)
+
+const TEXT_FIELDS = {
+  title: 200,
+  altText: 1000,
+  caption: 2000
+};
+const CUSTOM_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const MAX_CUSTOM_FIELDS = 50;
+const MAX_CUSTOM_VALUE_LENGTH = 1000;
+const EDITABLE_FIELDS = ['isPublic', ...Object.keys(TEXT_FIELDS), 'tags', 'custom'];
+
+// Error raised for metadata changes the client got wrong (sent back as 400)
+class MetadataError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MetadataError';
+    this.status = 400;
+  }
+}
+
+function parseBoolean(value, name) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new MetadataError(`Invalid ${name}. Must be true or false`);
+}
+
+function parseText(value, name, maxLength) {
+  if (value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw new MetadataError(`Invalid ${name}. Must be a string of at most ${maxLength} characters`);
+  }
+  return value.trim() || null;
+}
+
+// Custom fields are merged into the existing ones; a key set to null is removed
+function parseCustomFields(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new MetadataError('Invalid custom. Must be an object of key-value pairs');
+  }
+
+  const changes = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    if (!CUSTOM_KEY_PATTERN.test(key)) {
+      throw new MetadataError(`Invalid custom field name "${key}". Use letters, digits and _ . - (max 64 characters)`);
+    }
+    if (fieldValue !== null && !['string', 'number', 'boolean'].includes(typeof fieldValue)) {
+      throw new MetadataError(`Invalid custom field "${key}". Values must be strings, numbers, booleans or null`);
+    }
+    if (typeof fieldValue === 'string' && fieldValue.length > MAX_CUSTOM_VALUE_LENGTH) {
+      throw new MetadataError(`Invalid custom field "${key}". Values are limited to ${MAX_CUSTOM_VALUE_LENGTH} characters`);
+    }
+    changes[key] = fieldValue;
+  }
+  return changes;
+}
+
+// Validate a PATCH body. Resolves to the changes to apply; unknown fields are rejected so typos
+// don't go unnoticed.
+function parseMetadataPatch(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new MetadataError('Request body must be a JSON object');
+  }
+
+  const unknown = Object.keys(body).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new MetadataError(`Unknown field${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}. Editable: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+  if (Object.keys(body).length === 0) {
+    throw new MetadataError(`Nothing to change. Editable: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  const changes = {};
+  if (body.isPublic !== undefined) {
+    changes.isPublic = parseBoolean(body.isPublic, 'isPublic');
+  }
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    if (body[field] !== undefined) {
+      changes[field] = parseText(body[field], field, maxLength);
+    }
+  }
+  if (body.tags !== undefined) {
+    changes.tags = parseTags(body.tags);
+  }
+  if (body.custom !== undefined) {
+    changes.custom = parseCustomFields(body.custom);
+  }
+  return changes;
+}
+
+// Apply parsed changes to a copy of an image record
+function applyMetadataPatch(record, changes) {
+  const next = { ...record };
+  for (const [field, value] of Object.entries(changes)) {
+    if (field === 'custom') {
+      next.custom = { ...(record.custom || {}) };
+      for (const [key, customValue] of Object.entries(value)) {
+        if (customValue === null) {
+          delete next.custom[key];
+        } else {
+          next.custom[key] = customValue;
+        }
+      }
+      if (Object.keys(next.custom).length > MAX_CUSTOM_FIELDS) {
+        throw new MetadataError(`Too many custom fields. Maximum is ${MAX_CUSTOM_FIELDS}`);
+      }
+    } else if (value === null) {
+      delete next[field];
+    } else {
+      next[field] = value;
+    }
+  }
+  next.metadataUpdatedAt = new Date().toISOString();
+  return next;
+}
+
+module.exports = {
+  MetadataError,
+  parseMetadataPatch,
+  applyMetadataPatch
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const config = require('./config');
+
+// Passkeys (WebAuthn). A user can register several authenticators. Each is kept on the user
+// record with its public key and signature counter, and can be used after the password instead
+// of a TOTP code, or on its own for passwordless sign-in (which needs user verification).
+
+const CHALLENGE_TTL = 5 * 60 * 1000; // How long a registration or sign-in ceremony may take
+const MAX_NAME_LENGTH = 100;
+
+// Error raised for passkey requests the client got wrong (sent back with the given status)
+class PasskeyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PasskeyError';
+    this.status = status;
+  }
+}
+
+// Relying party the browser checks passkeys against. Without WEBAUTHN_RP_ID / WEBAUTHN_ORIGIN it
+// is the host the request came to, which suits a single hostname.
+function relyingParty(req) {
+  return {
+    name: config.webauthnRpName,
+    id: config.webauthnRpId || req.hostname,
+    origin: config.webauthnOrigin || `${req.protocol}://${req.get('host')}`
+  };
+}
+
+function parsePasskeyName(value) {
+  if (typeof value !== 'string' || value.trim().length === 0 || value.trim().length > MAX_NAME_LENGTH) {
+    throw new PasskeyError(`Invalid name. Must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  return value.trim();
+}
+
+// Options for registering a new authenticator. Authenticators the user already has are excluded,
+// so the same one isn't registered twice. Returns the options and the user's WebAuthn id, which
+// is created on first use and has to be saved with the passkey.
+async function registrationOptions(req, user) {
+  const rp = relyingParty(req);
+  const webauthnUserId = user.webauthnUserId || crypto.randomBytes(16).toString('base64url');
+  const options = await generateRegistrationOptions({
+    rpName: rp.name,
+    rpID: rp.id,
+    userName: user.username,
+    userID: new Uint8Array(Buffer.from(webauthnUserId, 'base64url')),
+    attestationType: 'none',
+    excludeCredentials: (user.passkeys || []).map(passkey => ({ id: passkey.id, transports: passkey.transports })),
+    authenticatorSelection: {
+      residentKey: 'preferred', // Discoverable, so it can also sign in without a password
+      userVerification: 'preferred'
+    }
+  });
+  return { options, webauthnUserId };
+}
+
+// Check a registration response against the challenge; returns the passkey record to store
+async function verifyRegistration(req, response, expectedChallenge, name) {
+  const rp = relyingParty(req);
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: rp.origin,
+      expectedRPID: rp.id,
+      requireUserVerification: false
+    });
+  } catch (error) {
+    throw new PasskeyError(`Passkey registration failed: ${error.message}`);
+  }
+  if (!verification.verified) {
+    throw new PasskeyError('Passkey registration failed');
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  return {
+    id: credential.id,
+    name,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+    transports: credential.transports || response.response.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+}
+
+// Options for signing in. With passkeys given, only those may answer (the second step after the
+// password); without, the browser offers any discoverable passkey for this site (passwordless).
+function authenticationOptions(req, passkeys) {
+  return generateAuthenticationOptions({
+    rpID: relyingParty(req).id,
+    allowCredentials: passkeys ? passkeys.map(passkey => ({ id: passkey.id, transports: passkey.transports })) : [],
+    userVerification: passkeys ? 'preferred' : 'required'
+  });
+}
+
+// Check a sign-in response from one of the user's passkeys. Returns the passkey with its new
+// signature counter, or null when the signature doesn't verify.
+async function verifyAuthentication(req, response, expectedChallenge, passkey, requireUserVerification) {
+  const rp = relyingParty(req);
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: rp.origin,
+      expectedRPID: rp.id,
+      requireUserVerification,
+      credential: {
+        id: passkey.id,
+        publicKey: new Uint8Array(Buffer.from(passkey.publicKey, 'base64url')),
+        counter: passkey.counter,
+        transports: passkey.transports
+      }
+    });
+  } catch (error) {
+    // Wrong challenge or origin, a bad signature, or a counter that went backwards (a cloned authenticator)
+    return null;
+  }
+  if (!verification.verified) {
+    return null;
+  }
+  return {
+    ...passkey,
+    counter: verification.authenticationInfo.newCounter,
+    backedUp: verification.authenticationInfo.credentialBackedUp,
+    lastUsedAt: new Date().toISOString()
+  };
+}
+
+// Id of the passkey a sign-in response came from, if the response looks like one
+function responseCredentialId(response) {
+  return response && typeof response === 'object' && typeof response.id === 'string' ? response.id : null;
+}
+
+// What the API shows of a passkey (not the public key)
+function passkeyResponse(passkey) {
+  return {
+    id: passkey.id,
+    name: passkey.name,
+    deviceType: passkey.deviceType,
+    backedUp: passkey.backedUp,
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt
+  };
+}
+
+module.exports = {
+  CHALLENGE_TTL,
+  PasskeyError,
+  parsePasskeyName,
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+  responseCredentialId,
+  passkeyResponse
+};
@@ -0,0 +1,81 @@
+const config = require('./config');
+const { TransformError, parseTransformQuery } = require('./transform');
+
+// Preset names appear in URLs: /images/:id/p/:preset
+const PRESET_NAME_PATTERN = /^[a-z0-9][a-z0-9@._-]{0,63}$/;
+
+// Created on first start so thumbnails work out of the box
+const DEFAULT_PRESETS = {
+  thumb: { width: 200, height: 200 }
+};
+
+// Maps preset fields to the query parameters understood by parseTransformQuery
+const PRESET_FIELDS = {
+  width: 'w',
+  height: 'h',
+  fit: 'fit',
+  format: 'format',
+  quality: 'q',
+  blur: 'blur',
+  rotate: 'rotate',
+  gravity: 'gravity'
+};
+
+function validatePresetName(name) {
+  if (typeof name !== 'string' || !PRESET_NAME_PATTERN.test(name)) {
+    throw new TransformError('Invalid preset name. Use lowercase letters, digits and @ . _ - (max 64 characters)');
+  }
+  return name;
+}
+
+// Validate a preset definition from the API and turn it into transformation options
+function parsePresetDefinition(definition) {
+  const query = {};
+  for (const [field, param] of Object.entries(PRESET_FIELDS)) {
+    if (definition[field] !== undefined && definition[field] !== null && definition[field] !== '') {
+      query[param] = String(definition[field]);
+    }
+  }
+
+  const options = parseTransformQuery(query);
+  if (!options) {
+    throw new TransformError(`A preset needs at least one of: ${Object.keys(PRESET_FIELDS).join(', ')}`);
+  }
+  return options;
+}
+
+// Preset record as stored in presets.json
+function buildPreset(name, definition, existing) {
+  const now = new Date().toISOString();
+  return {
+    name,
+    ...parsePresetDefinition(definition),
+    description: typeof definition.description === 'string' ? definition.description : '',
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+}
+
+// Transformation options for a stored preset
+function presetOptions(preset) {
+  const options = {};
+  for (const field of Object.keys(PRESET_FIELDS)) {
+    if (preset[field] !== undefined) {
+      options[field] = preset[field];
+    }
+  }
+  return options;
+}
+
+// Whether a preset may be deleted (the thumbnail preset is referenced by every image record)
+function isProtectedPreset(name) {
+  return name === config.thumbnailPreset;
+}
+
+module.exports = {
+  DEFAULT_PRESETS,
+  validatePresetName,
+  buildPreset,
+  presetOptions,
+  isProtectedPreset
+};
@@ -3,6 +3,7 @@ const API_BASE = window.location.origin;
 
 // State management
 let authToken = localStorage.getItem('authToken');
+let refreshToken = localStorage.getItem('refreshToken');
 let currentUser = null;
 let currentFilter = 'all'; // 'all', 'public', 'private'
 
@@ -18,6 +19,13 @@ function setupEventListeners() {
     document.getElementById('loginForm').addEventListener('submit', handleLogin);
     document.getElementById('totpForm').addEventListener('submit', handleTotpVerify);
     document.getElementById('uploadForm').addEventListener('submit', handleUpload);
+    document.getElementById('createUserForm').addEventListener('submit', createUser);
+    document.getElementById('createApiKeyForm').addEventListener('submit', createApiKey);
+    document.getElementById('changePasswordForm').addEventListener('submit', changePassword);
+    document.getElementById('auditFilterForm').addEventListener('submit', loadAuditLog);
+    document.getElementById('passkeyLoginButton').hidden = !window.PublicKeyCredential;
+    setupDropZone();
+    setupImageBrowser();
 }
 
 // Check authentication status
@@ -32,28 +40,81 @@ function checkAuth() {
 // Verify token and load dashboard
 async function verifyTokenAndLoadDashboard() {
     try {
-        const response = await fetch(`${API_BASE}/api/auth/me`, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
-        });
+        const response = await apiFetch(`${API_BASE}/api/auth/me`);
 
         if (response.ok) {
             currentUser = await response.json();
             showDashboard();
         } else {
-            localStorage.removeItem('authToken');
-            authToken = null;
+            clearSession();
             showScreen('loginScreen');
         }
     } catch (error) {
         console.error('Token verification failed:', error);
-        localStorage.removeItem('authToken');
-        authToken = null;
+        clearSession();
         showScreen('loginScreen');
     }
 }
 
+// Keep the tokens from a login or refresh
+function saveSession(data) {
+    authToken = data.token;
+    refreshToken = data.refreshToken;
+    localStorage.setItem('authToken', authToken);
+    localStorage.setItem('refreshToken', refreshToken);
+}
+
+function clearSession() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    authToken = null;
+    refreshToken = null;
+}
+
+// Swap the refresh token for a new access token. Requests that fail at the same time share
+// one refresh, since each refresh token only works once.
+let refreshInFlight = null;
+function refreshSession() {
+    if (!refreshToken) {
+        return Promise.resolve(false);
+    }
+    if (!refreshInFlight) {
+        refreshInFlight = fetch(`${API_BASE}/api/auth/refresh`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(async (response) => {
+                if (!response.ok) {
+                    clearSession();
+                    return false;
+                }
+                saveSession(await response.json());
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => {
+                refreshInFlight = null;
+            });
+    }
+    return refreshInFlight;
+}
+
+// fetch with the access token; refreshes it once and retries when it has expired
+async function apiFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), 'Authorization': `Bearer ${authToken}` }
+    });
+    const response = await send();
+    if (response.status === 401 && await refreshSession()) {
+        return send();
+    }
+    return response;
+}
+
 // Handle login
 async function handleLogin(e) {
     e.preventDefault();
@@ -77,13 +138,12 @@ async function handleLogin(e) {
 
         if (response.ok) {
             if (data.requiresTotp) {
-                // Store temp session ID and show TOTP screen
+                // Store temp session ID and show the second step (TOTP and/or passkey)
                 document.getElementById('tempSessionId').value = data.tempSessionId;
-                showScreen('totpScreen');
+                showSecondStep(data.methods || ['totp']);
             } else {
-                // No TOTP required, save token and show dashboard
-                authToken = data.token;
-                localStorage.setItem('authToken', authToken);
+                // No TOTP required, save tokens and show dashboard
+                saveSession(data);
                 currentUser = data.user;
                 showDashboard();
             }
@@ -130,94 +190,1419 @@ function initOTPInputs() {
     });
 }
 
-// Handle TOTP verification
-async function handleTotpVerify(e) {
-    e.preventDefault();
-    const errorDiv = document.getElementById('totpError');
-    errorDiv.classList.remove('show');
-    errorDiv.textContent = '';
-
-    // Collect OTP from individual inputs
-    const inputs = document.querySelectorAll('.otp-input');
-    const totpCode = Array.from(inputs).map(inp => inp.value).join('');
-    const tempSessionId = document.getElementById('tempSessionId').value;
+// Handle TOTP verification
+async function handleTotpVerify(e) {
+    e.preventDefault();
+    const errorDiv = document.getElementById('totpError');
+    errorDiv.classList.remove('show');
+    errorDiv.textContent = '';
+
+    // Collect OTP from individual inputs, or the recovery code if the user switched to one
+    const inputs = document.querySelectorAll('.otp-input');
+    const totpCode = Array.from(inputs).map(inp => inp.value).join('');
+    const tempSessionId = document.getElementById('tempSessionId').value;
+    const useRecoveryCode = !document.getElementById('recoveryCodeGroup').hidden;
+    const recoveryCode = document.getElementById('recoveryCode').value.trim();
+
+    if (useRecoveryCode && !recoveryCode) {
+        errorDiv.textContent = 'Please enter a recovery code';
+        errorDiv.classList.add('show');
+        return;
+    }
+    if (!useRecoveryCode && (!totpCode || totpCode.length !== 6)) {
+        errorDiv.textContent = 'Please enter a valid 6-digit code';
+        errorDiv.classList.add('show');
+        // Focus first empty input
+        const firstEmpty = Array.from(inputs).find(inp => !inp.value);
+        if (firstEmpty) firstEmpty.focus();
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/totp/verify`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(useRecoveryCode ? { tempSessionId, recoveryCode } : { tempSessionId, token: totpCode })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            saveSession(data);
+            currentUser = data.user;
+            showDashboard();
+            if (useRecoveryCode) {
+                alert(`Signed in with a recovery code. ${currentUser.recoveryCodesLeft} left; create new ones in Settings if you're running out.`);
+            }
+        } else {
+            errorDiv.textContent = data.error || 'Invalid TOTP code';
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        errorDiv.textContent = 'Network error. Please try again.';
+        errorDiv.classList.add('show');
+    }
+}
+
+// Show the second login step with the methods the account has set up
+function showSecondStep(methods) {
+    const hasTotp = methods.includes('totp');
+    document.getElementById('totpCodeGroup').hidden = !hasTotp;
+    document.getElementById('totpSubmit').hidden = !hasTotp;
+    document.getElementById('recoveryCodeLink').hidden = !hasTotp;
+    document.getElementById('passkeyStepButton').hidden = !methods.includes('passkey') || !window.PublicKeyCredential;
+    showScreen('totpScreen');
+}
+
+// Switch the TOTP screen between the authenticator code and a recovery code
+function toggleRecoveryCode() {
+    const group = document.getElementById('recoveryCodeGroup');
+    group.hidden = !group.hidden;
+    document.querySelector('.otp-group').closest('.form-group').hidden = !group.hidden;
+    document.getElementById('recoveryCodeToggle').textContent = group.hidden
+        ? 'Lost your authenticator? Use a recovery code'
+        : 'Use the authenticator code instead';
+    (group.hidden ? document.getElementById('otp1') : document.getElementById('recoveryCode')).focus();
+}
+
+// Passkeys (WebAuthn). Options and responses travel as JSON, with binary fields in base64url.
+function base64urlToBuffer(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+    return Uint8Array.from(binary, char => char.charCodeAt(0)).buffer;
+}
+
+function bufferToBase64url(buffer) {
+    let binary = '';
+    new Uint8Array(buffer).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Register a new authenticator with the browser; returns the response for the server
+async function createPasskeyCredential(options) {
+    const credential = await navigator.credentials.create({
+        publicKey: {
+            ...options,
+            challenge: base64urlToBuffer(options.challenge),
+            user: { ...options.user, id: base64urlToBuffer(options.user.id) },
+            excludeCredentials: (options.excludeCredentials || []).map(item => ({ ...item, id: base64urlToBuffer(item.id) }))
+        }
+    });
+    return {
+        id: credential.id,
+        rawId: bufferToBase64url(credential.rawId),
+        type: credential.type,
+        response: {
+            clientDataJSON: bufferToBase64url(credential.response.clientDataJSON),
+            attestationObject: bufferToBase64url(credential.response.attestationObject),
+            transports: credential.response.getTransports ? credential.response.getTransports() : []
+        },
+        clientExtensionResults: credential.getClientExtensionResults(),
+        authenticatorAttachment: credential.authenticatorAttachment || undefined
+    };
+}
+
+// Sign a challenge with a passkey; returns the response for the server
+async function getPasskeyCredential(options) {
+    const { challengeId, ...publicKey } = options;
+    const credential = await navigator.credentials.get({
+        publicKey: {
+            ...publicKey,
+            challenge: base64urlToBuffer(publicKey.challenge),
+            allowCredentials: (publicKey.allowCredentials || []).map(item => ({ ...item, id: base64urlToBuffer(item.id) }))
+        }
+    });
+    return {
+        id: credential.id,
+        rawId: bufferToBase64url(credential.rawId),
+        type: credential.type,
+        response: {
+            clientDataJSON: bufferToBase64url(credential.response.clientDataJSON),
+            authenticatorData: bufferToBase64url(credential.response.authenticatorData),
+            signature: bufferToBase64url(credential.response.signature),
+            userHandle: credential.response.userHandle ? bufferToBase64url(credential.response.userHandle) : undefined
+        },
+        clientExtensionResults: credential.getClientExtensionResults(),
+        authenticatorAttachment: credential.authenticatorAttachment || undefined
+    };
+}
+
+// POST to a sign-in endpoint (no session yet) and return the JSON, throwing on errors
+async function passkeyLoginRequest(path, body) {
+    const response = await fetch(`${API_BASE}/api/auth/passkeys/login/${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Passkey sign-in failed');
+    }
+    return data;
+}
+
+// Sign in with a passkey instead of a password
+async function loginWithPasskey() {
+    const errorDiv = document.getElementById('loginError');
+    errorDiv.classList.remove('show');
+
+    try {
+        const options = await passkeyLoginRequest('options', {});
+        const response = await getPasskeyCredential(options);
+        const data = await passkeyLoginRequest('verify', { challengeId: options.challengeId, response });
+        saveSession(data);
+        currentUser = data.user;
+        showDashboard();
+    } catch (error) {
+        // NotAllowedError: the user cancelled or the browser timed out
+        errorDiv.textContent = error.name === 'NotAllowedError' ? 'Passkey sign-in was cancelled' : error.message;
+        errorDiv.classList.add('show');
+    }
+}
+
+// Second login step with a passkey
+async function verifyWithPasskey() {
+    const errorDiv = document.getElementById('totpError');
+    errorDiv.classList.remove('show');
+    const tempSessionId = document.getElementById('tempSessionId').value;
+
+    try {
+        const options = await passkeyLoginRequest('options', { tempSessionId });
+        const response = await getPasskeyCredential(options);
+        const data = await passkeyLoginRequest('verify', { tempSessionId, response });
+        saveSession(data);
+        currentUser = data.user;
+        showDashboard();
+    } catch (error) {
+        errorDiv.textContent = error.name === 'NotAllowedError' ? 'Passkey verification was cancelled' : error.message;
+        errorDiv.classList.add('show');
+    }
+}
+
+// Files selected for upload
+let selectedFiles = [];
+const UPLOAD_CONCURRENCY = 3;
+
+// Drag-and-drop and multi-select for the upload form
+function setupDropZone() {
+    const dropZone = document.getElementById('dropZone');
+    const fileInput = document.getElementById('imageFile');
+
+    fileInput.addEventListener('change', () => {
+        addFiles(fileInput.files);
+        fileInput.value = '';
+    });
+
+    ['dragenter', 'dragover'].forEach(type => {
+        dropZone.addEventListener(type, (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+    });
+
+    ['dragleave', 'drop'].forEach(type => {
+        dropZone.addEventListener(type, (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+        });
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+        addFiles(e.dataTransfer.files);
+    });
+}
+
+function addFiles(fileList) {
+    const images = Array.from(fileList).filter(file => file.type.startsWith('image/'));
+    selectedFiles = selectedFiles
+        .filter(entry => entry.status === 'pending')
+        .concat(images.map(file => ({ file, status: 'pending', progress: 0, message: '' })));
+    renderUploadQueue();
+}
+
+function removeSelectedFile(index) {
+    selectedFiles.splice(index, 1);
+    renderUploadQueue();
+}
+
+function renderUploadQueue() {
+    const queue = document.getElementById('uploadQueue');
+    queue.innerHTML = selectedFiles.map((entry, index) => `
+        <li class="upload-item upload-${entry.status}">
+            <div class="upload-item-header">
+                <span class="upload-item-name">${entry.file.name}</span>
+                <span class="text-muted text-small">${(entry.file.size / 1024).toFixed(2)} KB</span>
+                ${entry.status === 'pending'
+                    ? `<button type="button" class="modal-close" onclick="removeSelectedFile(${index})">&times;</button>`
+                    : ''}
+            </div>
+            <div class="progress"><div class="progress-bar" style="width: ${entry.progress}%"></div></div>
+            ${entry.message ? `<div class="text-small upload-item-message">${entry.message}</div>` : ''}
+        </li>
+    `).join('');
+}
+
+// Upload queue message for a stored image (duplicates point at the image that was already there)
+function uploadedMessage(image) {
+    if (image.duplicateOf === image.id) {
+        return `Already uploaded: ${image.url}`;
+    }
+    if (image.duplicateOf) {
+        return `Already uploaded, shares the original of ${image.duplicateOf}: ${image.url}`;
+    }
+    return `Uploaded: ${image.url}`;
+}
+
+// Upload one file with progress reporting (fetch can't report upload progress)
+function uploadFile(entry, isPublic, tags, collectionId) {
+    if (entry.file.size > RESUMABLE_THRESHOLD) {
+        return uploadFileResumable(entry, isPublic, tags, collectionId);
+    }
+
+    return new Promise((resolve) => {
+        const formData = new FormData();
+        formData.append('image', entry.file);
+        formData.append('isPublic', isPublic.toString());
+        formData.append('tags', tags);
+        if (collectionId) {
+            formData.append('collectionId', collectionId);
+        }
+
+        // XHR rather than fetch for upload progress; retried once if the access token had expired
+        const send = (retried) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', `${API_BASE}/api/upload`);
+            xhr.setRequestHeader('Authorization', `Bearer ${authToken}`);
+
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable) {
+                    entry.progress = Math.round((e.loaded / e.total) * 100);
+                    renderUploadQueue();
+                }
+            });
+
+            xhr.addEventListener('load', async () => {
+                if (xhr.status === 401 && !retried && await refreshSession()) {
+                    send(true);
+                    return;
+                }
+                let data = {};
+                try {
+                    data = JSON.parse(xhr.responseText);
+                } catch (error) {
+                    // Non-JSON error page
+                }
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    entry.status = 'done';
+                    entry.progress = 100;
+                    entry.message = uploadedMessage(data.image);
+                } else {
+                    entry.status = 'failed';
+                    entry.message = data.error || 'Upload failed';
+                }
+                renderUploadQueue();
+                resolve();
+            });
+
+            xhr.addEventListener('error', () => {
+                entry.status = 'failed';
+                entry.message = 'Network error';
+                renderUploadQueue();
+                resolve();
+            });
+
+            xhr.send(formData);
+        };
+
+        entry.status = 'uploading';
+        renderUploadQueue();
+        send(false);
+    });
+}
+
+// Large files go through the resumable upload API in chunks, so a dropped connection only
+// costs the chunk that was in flight
+const RESUMABLE_THRESHOLD = 5 * 1024 * 1024;
+const RESUMABLE_RETRIES = 5;
+
+async function uploadFileResumable(entry, isPublic, tags, collectionId) {
+    entry.status = 'uploading';
+    renderUploadQueue();
+
+    try {
+        const startResponse = await apiFetch(`${API_BASE}/api/uploads`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                filename: entry.file.name,
+                size: entry.file.size,
+                mimeType: entry.file.type,
+                isPublic: isPublic,
+                tags: tags,
+                collectionId: collectionId || null
+            })
+        });
+        const started = await startResponse.json();
+        if (!startResponse.ok) {
+            throw new Error(started.error || 'Upload failed');
+        }
+
+        let offset = 0;
+        let failures = 0;
+        while (offset < entry.file.size) {
+            const chunk = entry.file.slice(offset, offset + started.chunkSize);
+            try {
+                const response = await apiFetch(`${API_BASE}/api/uploads/${started.uploadId}`, {
+                    method: 'PATCH',
+                    headers: {
+                        'Content-Type': 'application/offset+octet-stream',
+                        'Upload-Offset': String(offset)
+                    },
+                    body: chunk
+                });
+                const data = await response.json();
+                if (!response.ok && response.status !== 409) {
+                    throw new Error(data.error || 'Upload failed');
+                }
+                // On 409 the server tells us where it actually is; carry on from there
+                offset = data.offset;
+                failures = 0;
+            } catch (error) {
+                if (!(error instanceof TypeError) || ++failures > RESUMABLE_RETRIES) {
+                    throw error;
+                }
+                // Network error: wait, then ask the server how much it received
+                entry.message = `Connection lost, retrying (${failures}/${RESUMABLE_RETRIES})...`;
+                renderUploadQueue();
+                await new Promise(resolve => setTimeout(resolve, 2000 * failures));
+                const status = await apiFetch(`${API_BASE}/api/uploads/${started.uploadId}`, {
+                    method: 'HEAD'
+                }).catch(() => null);
+                if (status && status.ok) {
+                    offset = Number(status.headers.get('Upload-Offset'));
+                }
+            }
+
+            entry.progress = Math.round((offset / entry.file.size) * 100);
+            entry.message = '';
+            renderUploadQueue();
+        }
+
+        const completeResponse = await apiFetch(`${API_BASE}/api/uploads/${started.uploadId}/complete`, {
+            method: 'POST'
+        });
+        const data = await completeResponse.json();
+        if (!completeResponse.ok) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        entry.status = 'done';
+        entry.progress = 100;
+        entry.message = uploadedMessage(data.image);
+    } catch (error) {
+        entry.status = 'failed';
+        entry.message = error instanceof TypeError ? 'Network error' : error.message;
+    }
+    renderUploadQueue();
+}
+
+// Handle image upload
+async function handleUpload(e) {
+    e.preventDefault();
+    const errorDiv = document.getElementById('uploadError');
+    const successDiv = document.getElementById('uploadSuccess');
+    errorDiv.classList.remove('show');
+    successDiv.classList.remove('show');
+
+    const pending = selectedFiles.filter(entry => entry.status === 'pending');
+
+    if (pending.length === 0) {
+        errorDiv.textContent = 'Please select one or more image files';
+        errorDiv.classList.add('show');
+        return;
+    }
+
+    const isPublic = document.getElementById('isPublic').checked;
+    const tags = document.getElementById('uploadTags').value;
+    const collectionId = document.getElementById('uploadCollection').value;
+
+    // A few uploads at a time, each with its own progress bar
+    const queue = pending.slice();
+    const workers = Array.from({ length: Math.min(UPLOAD_CONCURRENCY, queue.length) }, async () => {
+        while (queue.length > 0) {
+            await uploadFile(queue.shift(), isPublic, tags, collectionId);
+        }
+    });
+    await Promise.all(workers);
+
+    const failed = pending.filter(entry => entry.status === 'failed').length;
+    const uploaded = pending.length - failed;
+
+    if (uploaded > 0) {
+        successDiv.textContent = `Uploaded ${uploaded} image${uploaded === 1 ? '' : 's'}.`;
+        successDiv.classList.add('show');
+        loadImages(currentFilter);
+        loadCollections();
+    }
+    if (failed > 0) {
+        errorDiv.textContent = `${failed} upload${failed === 1 ? '' : 's'} failed. See the list above for details.`;
+        errorDiv.classList.add('show');
+    }
+}
+
+// Paging state for the images grid
+const IMAGES_PAGE_SIZE = 24;
+let imagesCursor = null;
+let imagesHasMore = false;
+let imagesLoading = false;
+let imagesRequest = 0; // Goes up with every reload so pages for an older search are ignored
+let imageSearchTimer = null;
+
+// Query string for one page of the images grid
+function imageListQuery(cursor) {
+    const params = new URLSearchParams({ limit: IMAGES_PAGE_SIZE });
+    const [sort, order] = document.getElementById('imageSort').value.split(':');
+    const search = document.getElementById('imageSearch').value.trim();
+    params.set('sort', sort);
+    params.set('order', order);
+    if (currentFilter !== 'all') {
+        params.set('filter', currentFilter);
+    }
+    if (currentCollection) {
+        params.set('collection', currentCollection);
+    }
+    if (search) {
+        params.set('q', search);
+    }
+    if (cursor) {
+        params.set('cursor', cursor);
+    }
+    return params;
+}
+
+// Load images list (first page; more pages load while scrolling)
+async function loadImages(filter = currentFilter) {
+    currentFilter = filter;
+    imagesRequest++;
+    imagesCursor = null;
+    imagesHasMore = true;
+    imagesLoading = false;
+    loadedImages = new Map();
+    document.getElementById('imagesList').innerHTML = '<div class="loading">Loading images...</div>';
+    await loadMoreImages();
+}
+
+// Append the next page of images to the grid
+async function loadMoreImages() {
+    if (imagesLoading || !imagesHasMore) {
+        return;
+    }
+    const request = imagesRequest;
+    const imagesList = document.getElementById('imagesList');
+    imagesLoading = true;
+
+    try {
+        const response = await apiFetch(`${API_BASE}/api/images?${imageListQuery(imagesCursor)}`);
+
+        const data = await response.json();
+        if (request !== imagesRequest) {
+            return;
+        }
+
+        if (response.ok) {
+            const images = data.images || [];
+            if (loadedImages.size === 0) {
+                imagesList.innerHTML = '';
+            }
+            images.forEach(img => loadedImages.set(img.id, img));
+            imagesList.insertAdjacentHTML('beforeend', images.map(renderImageCard).join(''));
+            imagesCursor = data.nextCursor;
+            imagesHasMore = Boolean(data.nextCursor);
+            document.getElementById('imagesCount').textContent = `${data.total} image${data.total === 1 ? '' : 's'}`;
+
+            if (loadedImages.size === 0) {
+                const search = document.getElementById('imageSearch').value.trim();
+                imagesList.innerHTML = search
+                    ? '<div class="empty-state">No images match your search.</div>'
+                    : `<div class="empty-state">No ${currentFilter === 'all' ? '' : currentFilter} images found.</div>`;
+            }
+        } else {
+            imagesHasMore = false;
+            imagesList.innerHTML = `<div class="empty-state">${escapeHtml(data.error || 'Failed to load images.')}</div>`;
+        }
+    } catch (error) {
+        if (request === imagesRequest) {
+            imagesHasMore = false;
+            imagesList.innerHTML = '<div class="empty-state">Error loading images.</div>';
+        }
+    } finally {
+        if (request === imagesRequest) {
+            imagesLoading = false;
+            // A short page may leave the end of the grid on screen; keep filling it
+            if (imagesHasMore && isNearViewport(document.getElementById('imagesSentinel'))) {
+                loadMoreImages();
+            }
+        }
+    }
+}
+
+function isNearViewport(element) {
+    return element.getBoundingClientRect().top < window.innerHeight + 400;
+}
+
+// Infinite scroll, search box and sort order for the images grid
+function setupImageBrowser() {
+    const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadMoreImages();
+        }
+    }, { rootMargin: '400px' });
+    observer.observe(document.getElementById('imagesSentinel'));
+
+    document.getElementById('imageSearch').addEventListener('input', () => {
+        clearTimeout(imageSearchTimer);
+        imageSearchTimer = setTimeout(() => loadImages(), 300);
+    });
+    document.getElementById('imageSort').addEventListener('change', () => loadImages());
+}
+
+// Escape user-provided text before putting it into HTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Images currently shown, by id (used by the edit form)
+let loadedImages = new Map();
+
+function renderImageCard(img) {
+    // For private images, use the short-lived signed links; public images don't need them
+    const thumbnailUrl = img.isPublic 
+        ? `${API_BASE}${img.thumbnail}`
+        : `${API_BASE}${img.signedThumbnail}`;
+    const viewUrl = img.isPublic 
+        ? `${API_BASE}${img.url}`
+        : `${API_BASE}${img.signedUrl}`;
+    const tags = img.tags || [];
+    const custom = Object.entries(img.custom || {}).map(([key, value]) => `${key}=${value}`).join('\n');
+    const manageable = canManageImage(img);
+
+    return `
+    <div class="image-item${selectedImages.has(img.id) ? ' selected' : ''}" id="image-${img.id}">
+        <label class="image-select" title="Select">
+            <input type="checkbox" onchange="toggleImageSelection('${img.id}', this.checked)" ${selectedImages.has(img.id) ? 'checked' : ''}>
+        </label>
+        <img src="${thumbnailUrl}" alt="${escapeHtml(img.altText || img.originalName)}" onerror="this.src='data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22%3E%3C/svg%3E'">
+        <div class="image-item-info">
+            <div class="image-item-header">
+                <span class="image-item-title">${escapeHtml(img.title || img.originalName)}</span>
+                ${manageable ? `<button onclick="setImageVisibility('${img.id}', ${!img.isPublic})" class="image-badge badge-toggle badge-${img.isPublic ? 'public' : 'private'}" title="Make ${img.isPublic ? 'private' : 'public'}">
+                    ${img.isPublic ? 'Public' : 'Private'}
+                </button>` : `<span class="image-badge badge-${img.isPublic ? 'public' : 'private'}">${img.isPublic ? 'Public' : 'Private'}</span>`}
+            </div>
+            ${img.caption ? `<div class="image-item-caption">${escapeHtml(img.caption)}</div>` : ''}
+            ${tags.length > 0 ? `<div class="image-item-tags">${tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+            <div class="image-item-meta">
+                ${img.width}x${img.height} • ${(img.size / 1024).toFixed(2)} KB${img.ownerId ? ` • ${escapeHtml(img.ownerId)}` : ''}
+            </div>
+            <div class="image-item-actions">
+                <a href="${viewUrl}" target="_blank" class="btn btn-primary btn-sm">View</a>
+                <button onclick="${img.isPublic ? `copyImageLink('${API_BASE}${img.url}')` : `showShareLink('${img.id}')`}" class="btn btn-secondary btn-sm">Copy Link</button>
+                ${manageable ? `
+                <button onclick="toggleImageEditor('${img.id}')" class="btn btn-secondary btn-sm">Edit</button>
+                <button onclick="purgeImageCache('${img.id}')" class="btn btn-secondary btn-sm">Purge Cache</button>
+                <button onclick="deleteImage('${img.id}')" class="btn btn-danger btn-sm">Delete</button>` : ''}
+            </div>
+            <form class="image-edit-form" id="edit-${img.id}" onsubmit="saveImageMetadata(event, '${img.id}')" hidden>
+                <div class="form-group">
+                    <label>Title</label>
+                    <input type="text" name="title" class="input" maxlength="200" value="${escapeHtml(img.title)}" placeholder="${escapeHtml(img.originalName)}">
+                </div>
+                <div class="form-group">
+                    <label>Alt text</label>
+                    <input type="text" name="altText" class="input" maxlength="1000" value="${escapeHtml(img.altText)}">
+                </div>
+                <div class="form-group">
+                    <label>Caption</label>
+                    <textarea name="caption" class="input" rows="2" maxlength="2000">${escapeHtml(img.caption)}</textarea>
+                </div>
+                <div class="form-group">
+                    <label>Tags</label>
+                    <input type="text" name="tags" class="input" value="${escapeHtml(tags.join(', '))}" placeholder="shoes, summer">
+                </div>
+                <div class="form-group">
+                    <label>Custom fields</label>
+                    <textarea name="custom" class="input" rows="2" placeholder="sku=SHOE-001 (one per line)">${escapeHtml(custom)}</textarea>
+                </div>
+                <div class="alert alert-error"></div>
+                <div class="image-item-actions">
+                    <button type="submit" class="btn btn-primary btn-sm">Save</button>
+                    <button type="button" onclick="toggleImageEditor('${img.id}')" class="btn btn-secondary btn-sm">Cancel</button>
+                </div>
+            </form>
+        </div>
+    </div>
+`;
+}
+
+// Send a metadata change; resolves to the updated image or throws with the server's message
+async function patchImage(imageId, changes) {
+    const response = await apiFetch(`${API_BASE}/api/images/${imageId}`, {
+        method: 'PATCH',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to update image');
+    }
+    return data.image;
+}
+
+// Redraw one card after it changed (or drop it if it no longer matches the filter)
+function replaceImageCard(image) {
+    const card = document.getElementById(`image-${image.id}`);
+    if (!card) {
+        return;
+    }
+    if ((currentFilter === 'public' && !image.isPublic) || (currentFilter === 'private' && image.isPublic)) {
+        loadedImages.delete(image.id);
+        card.remove();
+        return;
+    }
+    loadedImages.set(image.id, image);
+    card.outerHTML = renderImageCard(image);
+}
+
+// Public/private toggle on the card badge
+async function setImageVisibility(imageId, isPublic) {
+    try {
+        replaceImageCard(await patchImage(imageId, { isPublic }));
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function toggleImageEditor(imageId) {
+    const form = document.getElementById(`edit-${imageId}`);
+    form.hidden = !form.hidden;
+}
+
+// "key=value" lines into custom fields; keys that were removed are sent as null to delete them
+function parseCustomFieldLines(text, previous) {
+    const custom = {};
+    Object.keys(previous || {}).forEach(key => {
+        custom[key] = null;
+    });
+    text.split('\n').forEach(line => {
+        const separator = line.indexOf('=');
+        if (separator > 0) {
+            custom[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    });
+    return custom;
+}
+
+async function saveImageMetadata(e, imageId) {
+    e.preventDefault();
+    const form = e.target;
+    const errorDiv = form.querySelector('.alert-error');
+    errorDiv.classList.remove('show');
+
+    // form.elements, because form.title is the form's own title attribute
+    const fields = form.elements;
+    const image = loadedImages.get(imageId) || {};
+    try {
+        replaceImageCard(await patchImage(imageId, {
+            title: fields.title.value,
+            altText: fields.altText.value,
+            caption: fields.caption.value,
+            tags: fields.tags.value,
+            custom: parseCustomFieldLines(fields.custom.value, image.custom)
+        }));
+    } catch (error) {
+        errorDiv.textContent = error.message;
+        errorDiv.classList.add('show');
+    }
+}
+
+// Collections: the sidebar scopes the images grid to one collection
+let collectionsList = [];
+let currentCollection = null; // null = all images, 'none' = images outside any collection
+
+async function loadCollections() {
+    try {
+        const response = await apiFetch(`${API_BASE}/api/collections`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load collections');
+        }
+        collectionsList = data.collections;
+        if (currentCollection && currentCollection !== 'none' && !collectionsList.some(c => c.id === currentCollection)) {
+            currentCollection = null;
+        }
+        renderCollections(data.unfiledCount);
+    } catch (error) {
+        document.getElementById('collectionsList').innerHTML = `<li class="text-muted text-small">${escapeHtml(error.message)}</li>`;
+    }
+}
+
+function renderCollections(unfiledCount) {
+    const total = collectionsList.reduce((sum, c) => sum + c.imageCount, unfiledCount);
+    const item = (id, name, count) => `
+        <li>
+            <button class="collection-item${currentCollection === id ? ' active' : ''}" onclick="selectCollection(${id === null ? 'null' : `'${id}'`})">
+                <span>${escapeHtml(name)}</span>
+                <span class="collection-count">${count}</span>
+            </button>
+        </li>`;
+
+    document.getElementById('collectionsList').innerHTML = [
+        item(null, 'All images', total),
+        item('none', 'Not in a collection', unfiledCount),
+        ...collectionsList.map(c => item(c.id, c.name, c.imageCount))
+    ].join('');
+
+    // Collection pickers for uploads and bulk moves
+    const options = collectionsList.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
+    const uploadSelect = document.getElementById('uploadCollection');
+    const uploadValue = currentCollection && currentCollection !== 'none' ? currentCollection : uploadSelect.value;
+    uploadSelect.innerHTML = `<option value="">No collection</option>${options}`;
+    uploadSelect.value = collectionsList.some(c => c.id === uploadValue) ? uploadValue : '';
+    document.getElementById('bulkMoveTarget').innerHTML =
+        `<option value="" disabled selected>Move to...</option><option value="none">No collection</option>${options}`;
+
+    renderCollectionBar();
+}
+
+// Name, visibility and actions of the selected collection above the grid
+function renderCollectionBar() {
+    const bar = document.getElementById('collectionBar');
+    const collection = collectionsList.find(c => c.id === currentCollection);
+    bar.hidden = !collection;
+    if (!collection) {
+        return;
+    }
+    document.getElementById('collectionName').textContent = collection.name;
+    document.getElementById('collectionVisibility').value =
+        collection.isPublic === null ? 'mixed' : (collection.isPublic ? 'public' : 'private');
+}
+
+function selectCollection(collectionId) {
+    currentCollection = collectionId;
+    loadCollections();
+    loadImages();
+}
+
+// Create, rename, change visibility or delete a collection; resolves to the server's response
+async function collectionRequest(method, path, body) {
+    const response = await apiFetch(`${API_BASE}/api/collections${path}`, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Collection request failed');
+    }
+    return data;
+}
+
+async function createCollection() {
+    const name = prompt('Name of the new collection:');
+    if (!name) {
+        return;
+    }
+    try {
+        const data = await collectionRequest('POST', '', { name });
+        currentCollection = data.collection.id;
+        loadCollections();
+        loadImages();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function renameCollection() {
+    const collection = collectionsList.find(c => c.id === currentCollection);
+    const name = prompt('New name:', collection.name);
+    if (!name || name === collection.name) {
+        return;
+    }
+    try {
+        await collectionRequest('PATCH', `/${collection.id}`, { name });
+        loadCollections();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function setCollectionVisibility(value) {
+    const isPublic = value === 'mixed' ? null : value === 'public';
+    if (isPublic !== null && !confirm(`Make every image in this collection ${value}?`)) {
+        renderCollectionBar();
+        return;
+    }
+    try {
+        await collectionRequest('PATCH', `/${currentCollection}`, { isPublic });
+        loadCollections();
+        loadImages();
+    } catch (error) {
+        alert(error.message);
+        renderCollectionBar();
+    }
+}
+
+async function deleteCollection() {
+    const collection = collectionsList.find(c => c.id === currentCollection);
+    if (!confirm(`Delete the collection "${collection.name}"? Its images are kept.`)) {
+        return;
+    }
+    const deleteImages = collection.imageCount > 0 &&
+        confirm(`Also delete the ${collection.imageCount} image${collection.imageCount === 1 ? '' : 's'} in it? This cannot be undone.`);
+    try {
+        await collectionRequest('DELETE', `/${collection.id}?deleteImages=${deleteImages}`);
+        currentCollection = null;
+        loadCollections();
+        loadImages();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// Selection and bulk actions
+const selectedImages = new Set();
+
+function toggleImageSelection(imageId, selected) {
+    if (selected) {
+        selectedImages.add(imageId);
+    } else {
+        selectedImages.delete(imageId);
+    }
+    const card = document.getElementById(`image-${imageId}`);
+    if (card) {
+        card.classList.toggle('selected', selected);
+    }
+    renderBulkBar();
+}
+
+function clearSelection() {
+    selectedImages.clear();
+    document.querySelectorAll('.image-item.selected').forEach(card => {
+        card.classList.remove('selected');
+        card.querySelector('.image-select input').checked = false;
+    });
+    renderBulkBar();
+}
+
+function renderBulkBar() {
+    document.getElementById('bulkBar').hidden = selectedImages.size === 0;
+    document.getElementById('bulkCount').textContent =
+        `${selectedImages.size} selected`;
+}
+
+async function bulkAction(action, options = {}) {
+    if (action === 'delete' && !confirm(`Delete ${selectedImages.size} image${selectedImages.size === 1 ? '' : 's'}? This cannot be undone.`)) {
+        return;
+    }
+    try {
+        const response = await apiFetch(`${API_BASE}/api/images/bulk`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ action, ids: Array.from(selectedImages), ...options })
+        });
+        const data = await response.json();
+        if (!response.ok && !data.results) {
+            throw new Error(data.error || 'Bulk action failed');
+        }
+        if (data.failed > 0) {
+            alert(`${data.failed} image${data.failed === 1 ? '' : 's'} could not be updated.`);
+        }
+        clearSelection();
+        loadCollections();
+        loadImages();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function bulkMove(select) {
+    const target = select.value;
+    select.selectedIndex = 0;
+    bulkAction('move', { collectionId: target === 'none' ? null : target });
+}
+
+// Download the selected originals as a zip file
+async function bulkDownload() {
+    try {
+        const response = await apiFetch(`${API_BASE}/api/images/bulk/download`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ ids: Array.from(selectedImages) })
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Download failed');
+        }
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `images-${new Date().toISOString().slice(0, 10)}.zip`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// Filter images
+function filterImages(filter) {
+    currentFilter = filter;
+    
+    // Update active tab
+    document.querySelectorAll('.filter-tab').forEach(tab => {
+        tab.classList.remove('active');
+        if (tab.dataset.filter === filter) {
+            tab.classList.add('active');
+        }
+    });
+    
+    // Load images with filter
+    loadImages(filter);
+}
+
+// Copy image link to clipboard
+function copyImageLink(url) {
+    const linkToCopy = url;
+    
+    navigator.clipboard.writeText(linkToCopy).then(() => {
+        // Show temporary success message on the button that was clicked
+        const btn = event.target;
+        const originalText = btn.textContent;
+        btn.textContent = 'Copied!';
+        btn.style.background = '#10b981';
+        btn.style.color = 'white';
+        setTimeout(() => {
+            btn.textContent = originalText;
+            btn.style.background = '';
+            btn.style.color = '';
+        }, 2000);
+    }).catch(() => {
+        // Fallback for older browsers
+        const textarea = document.createElement('textarea');
+        textarea.value = linkToCopy;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        try {
+            document.execCommand('copy');
+            const btn = event.target;
+            const originalText = btn.textContent;
+            btn.textContent = 'Copied!';
+            setTimeout(() => {
+                btn.textContent = originalText;
+            }, 2000);
+        } catch (err) {
+            alert('Failed to copy link. Link: ' + linkToCopy);
+        }
+        document.body.removeChild(textarea);
+    });
+}
+
+// Share link for private images
+function showShareLink(imageId) {
+    document.getElementById('shareImageId').value = imageId;
+    document.getElementById('shareLink').value = '';
+    document.getElementById('shareResult').style.display = 'none';
+    document.getElementById('shareError').classList.remove('show');
+    document.getElementById('shareModal').classList.add('active');
+}
+
+function closeShareLink() {
+    document.getElementById('shareModal').classList.remove('active');
+}
+
+async function generateShareLink() {
+    const errorDiv = document.getElementById('shareError');
+    errorDiv.classList.remove('show');
+
+    const imageId = document.getElementById('shareImageId').value;
+    const expiresIn = parseInt(document.getElementById('shareExpiresIn').value);
+    const scope = document.getElementById('shareVariants').value;
+    const variants = scope === 'original' ? ['original'] : [];
+
+    try {
+        const response = await apiFetch(`${API_BASE}/api/images/${imageId}/signed-url`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ expiresIn, variants })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            document.getElementById('shareLink').value = `${API_BASE}${data.url}`;
+            document.getElementById('shareExpiresAt').textContent = new Date(data.expiresAt).toLocaleString();
+            document.getElementById('shareResult').style.display = 'block';
+        } else {
+            errorDiv.textContent = data.error || 'Failed to create link';
+            errorDiv.classList.add('show');
+        }
+    } catch (error) {
+        errorDiv.textContent = 'Network error. Please try again.';
+        errorDiv.classList.add('show');
+    }
+}
+
+// Delete image
+async function deleteImage(imageId) {
+    if (!confirm('Are you sure you want to delete this image?')) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${API_BASE}/api/images/${imageId}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            selectedImages.delete(imageId);
+            renderBulkBar();
+            loadImages();
+            loadCollections();
+        } else {
+            const data = await response.json();
+            alert(data.error || 'Failed to delete image');
+        }
+    } catch (error) {
+        alert('Network error. Please try again.');
+    }
+}
+
+// API keys of the signed-in user
+let loadedApiKeys = [];
+
+function showApiKeys() {
+    document.getElementById('apiKeysError').classList.remove('show');
+    document.getElementById('newApiKey').hidden = true;
+    document.getElementById('apiKeysModal').classList.add('active');
+    loadApiKeys();
+}
+
+function closeApiKeys() {
+    document.getElementById('apiKeysModal').classList.remove('active');
+    document.getElementById('createApiKeyForm').reset();
+    document.getElementById('newApiKeyValue').value = '';
+}
+
+function showApiKeysError(message) {
+    const errorDiv = document.getElementById('apiKeysError');
+    errorDiv.textContent = message;
+    errorDiv.classList.add('show');
+}
+
+async function apiKeyRequest(method, path, body) {
+    const response = await apiFetch(`${API_BASE}/api/keys${path}`, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'API key request failed');
+    }
+    return data;
+}
+
+async function loadApiKeys() {
+    const list = document.getElementById('apiKeysList');
+    list.innerHTML = '<tr><td colspan="5" class="loading">Loading...</td></tr>';
+
+    try {
+        const data = await apiKeyRequest('GET', '');
+        loadedApiKeys = data.keys;
+        if (data.keys.length === 0) {
+            list.innerHTML = '<tr><td colspan="5" class="text-muted">No API keys yet.</td></tr>';
+            return;
+        }
+        const formatDate = value => value ? new Date(value).toLocaleDateString() : '-';
+        list.innerHTML = data.keys.map(key => `
+            <tr class="${key.expired ? 'user-disabled' : ''}">
+                <td>${escapeHtml(key.name)}<br><code class="text-small">cdn_${key.id}_…</code></td>
+                <td>${key.scopes.join(', ')}</td>
+                <td>${key.expiresAt ? `${formatDate(key.expiresAt)}${key.expired ? ' (expired)' : ''}` : 'Never'}</td>
+                <td>${key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'Never'}</td>
+                <td><button class="btn btn-danger btn-sm" onclick="revokeApiKey('${key.id}')">Revoke</button></td>
+            </tr>`).join('');
+    } catch (error) {
+        list.innerHTML = '';
+        showApiKeysError(error.message);
+    }
+}
+
+async function createApiKey(e) {
+    e.preventDefault();
+    document.getElementById('apiKeysError').classList.remove('show');
+    const form = e.target;
+    const scopes = Array.from(form.querySelectorAll('input[name="scopes"]:checked'))
+        .filter(input => !input.closest('[hidden]'))
+        .map(input => input.value);
+    const expiresInDays = form.elements.expiresInDays.value;
+
+    try {
+        const data = await apiKeyRequest('POST', '', {
+            name: form.elements.name.value,
+            scopes: scopes,
+            expiresInDays: expiresInDays ? Number(expiresInDays) : null
+        });
+        form.reset();
+        document.getElementById('newApiKeyValue').value = data.key;
+        document.getElementById('newApiKey').hidden = false;
+        loadApiKeys();
+    } catch (error) {
+        showApiKeysError(error.message);
+    }
+}
+
+async function revokeApiKey(keyId) {
+    const key = loadedApiKeys.find(candidate => candidate.id === keyId);
+    if (!confirm(`Revoke the API key "${key.name}"? Anything using it stops working immediately.`)) {
+        return;
+    }
+    try {
+        await apiKeyRequest('DELETE', `/${keyId}`);
+        loadApiKeys();
+    } catch (error) {
+        showApiKeysError(error.message);
+    }
+}
+
+// User management (admins)
+function showUserManager() {
+    document.getElementById('usersError').classList.remove('show');
+    document.getElementById('usersModal').classList.add('active');
+    loadUsers();
+}
+
+function closeUserManager() {
+    document.getElementById('usersModal').classList.remove('active');
+    document.getElementById('createUserForm').reset();
+}
+
+function showUsersError(message) {
+    const errorDiv = document.getElementById('usersError');
+    errorDiv.textContent = message;
+    errorDiv.classList.add('show');
+}
+
+// Send a user-management request; resolves to the server's response or throws with its message
+async function userRequest(method, path, body) {
+    const response = await apiFetch(`${API_BASE}/api/users${path}`, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'User request failed');
+    }
+    return data;
+}
+
+async function loadUsers() {
+    const list = document.getElementById('usersList');
+    list.innerHTML = '<tr><td colspan="5" class="loading">Loading...</td></tr>';
+
+    try {
+        const data = await userRequest('GET', '');
+        list.innerHTML = data.users.map(user => {
+            const isSelf = user.username === currentUser.username;
+            const roles = ['viewer', 'uploader', 'admin']
+                .map(role => `<option value="${role}" ${user.role === role ? 'selected' : ''}>${role}</option>`)
+                .join('');
+            return `
+            <tr class="${user.disabled ? 'user-disabled' : ''}">
+                <td>${escapeHtml(user.username)}${isSelf ? ' <span class="text-muted">(you)</span>' : ''}${user.disabled ? ' <span class="text-muted">(disabled)</span>' : ''}</td>
+                <td><select class="input" onchange="updateUser('${user.username}', { role: this.value })">${roles}</select></td>
+                <td>${user.imageCount}</td>
+                <td>${user.totpEnabled ? 'On' : 'Off'}</td>
+                <td class="user-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="updateUser('${user.username}', { disabled: ${!user.disabled} })">${user.disabled ? 'Enable' : 'Disable'}</button>
+                    <button class="btn btn-secondary btn-sm" onclick="resetUserPassword('${user.username}')">Reset Password</button>
+                    ${isSelf ? '' : `<button class="btn btn-danger btn-sm" onclick="deleteUser('${user.username}')">Delete</button>`}
+                </td>
+            </tr>`;
+        }).join('');
+    } catch (error) {
+        list.innerHTML = '';
+        showUsersError(error.message);
+    }
+}
+
+async function createUser(e) {
+    e.preventDefault();
+    document.getElementById('usersError').classList.remove('show');
+    const form = e.target;
+
+    try {
+        await userRequest('POST', '', {
+            username: form.elements.username.value,
+            password: form.elements.password.value,
+            role: form.elements.role.value
+        });
+        form.reset();
+        loadUsers();
+    } catch (error) {
+        showUsersError(error.message);
+    }
+}
+
+async function updateUser(username, changes) {
+    document.getElementById('usersError').classList.remove('show');
+    try {
+        await userRequest('PATCH', `/${encodeURIComponent(username)}`, changes);
+    } catch (error) {
+        showUsersError(error.message);
+    }
+    loadUsers();
+}
+
+async function resetUserPassword(username) {
+    const password = prompt(`New password for ${username} (at least 8 characters):`);
+    if (!password) {
+        return;
+    }
+    document.getElementById('usersError').classList.remove('show');
+    try {
+        await userRequest('POST', `/${encodeURIComponent(username)}/password`, { password });
+        alert(`Password of ${username} reset.`);
+    } catch (error) {
+        showUsersError(error.message);
+    }
+}
 
-    if (!totpCode || totpCode.length !== 6) {
-        errorDiv.textContent = 'Please enter a valid 6-digit code';
-        errorDiv.classList.add('show');
-        // Focus first empty input
-        const firstEmpty = Array.from(inputs).find(inp => !inp.value);
-        if (firstEmpty) firstEmpty.focus();
+async function deleteUser(username) {
+    if (!confirm(`Delete the user ${username}? Their images are kept, but only admins can change them afterwards.`)) {
         return;
     }
+    document.getElementById('usersError').classList.remove('show');
+    try {
+        await userRequest('DELETE', `/${encodeURIComponent(username)}`);
+        loadUsers();
+        loadImages();
+    } catch (error) {
+        showUsersError(error.message);
+    }
+}
+
+// Cache management
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    return `${(bytes / 1024).toFixed(2)} KB`;
+}
+
+async function showCacheManager() {
+    document.getElementById('cacheError').classList.remove('show');
+    document.getElementById('cacheSuccess').classList.remove('show');
+    document.getElementById('cacheModal').classList.add('active');
+    await loadCacheStats();
+}
+
+function closeCacheManager() {
+    document.getElementById('cacheModal').classList.remove('active');
+    document.getElementById('cachePurgeTarget').value = '';
+}
+
+async function loadCacheStats() {
+    const statsList = document.getElementById('cacheStats');
+    statsList.innerHTML = '<div class="loading">Loading...</div>';
 
     try {
-        const response = await fetch(`${API_BASE}/api/auth/totp/verify`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ tempSessionId, token: totpCode })
-        });
+        const response = await apiFetch(`${API_BASE}/api/cache/stats`);
 
-        const data = await response.json();
+        const stats = await response.json();
 
         if (response.ok) {
-            authToken = data.token;
-            localStorage.setItem('authToken', authToken);
-            currentUser = data.user;
-            showDashboard();
+            const rows = [
+                ['Storage', stats.driver],
+                ['Entries', stats.entries],
+                ['Size', stats.maxBytes
+                    ? `${formatBytes(stats.sizeBytes)} of ${formatBytes(stats.maxBytes)} (${(stats.usage * 100).toFixed(0)}%)`
+                    : `${formatBytes(stats.sizeBytes)} (no limit)`],
+                ['Hit rate', stats.hitRate === null ? '-' : `${(stats.hitRate * 100).toFixed(1)}% (${stats.hits} hits, ${stats.misses} misses)`],
+                ['Evictions', stats.evictions],
+                ['Oldest access', stats.oldestAccess ? new Date(stats.oldestAccess).toLocaleString() : '-']
+            ];
+            statsList.innerHTML = rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('');
         } else {
-            errorDiv.textContent = data.error || 'Invalid TOTP code';
-            errorDiv.classList.add('show');
+            statsList.innerHTML = '<div class="empty-state">Failed to load cache stats.</div>';
         }
     } catch (error) {
-        errorDiv.textContent = 'Network error. Please try again.';
-        errorDiv.classList.add('show');
+        statsList.innerHTML = '<div class="empty-state">Error loading cache stats.</div>';
     }
 }
 
-// Handle image upload
-async function handleUpload(e) {
-    e.preventDefault();
-    const errorDiv = document.getElementById('uploadError');
-    const successDiv = document.getElementById('uploadSuccess');
+async function purgeCache(scope) {
+    const errorDiv = document.getElementById('cacheError');
+    const successDiv = document.getElementById('cacheSuccess');
     errorDiv.classList.remove('show');
     successDiv.classList.remove('show');
 
-    const fileInput = document.getElementById('imageFile');
-    const file = fileInput.files[0];
+    const target = document.getElementById('cachePurgeTarget').value.trim();
+    let url = `${API_BASE}/api/cache`;
 
-    if (!file) {
-        errorDiv.textContent = 'Please select an image file';
-        errorDiv.classList.add('show');
-        return;
+    if (scope === 'all') {
+        if (!confirm('Are you sure you want to purge every cached variant?')) {
+            return;
+        }
+    } else {
+        if (!target) {
+            errorDiv.textContent = 'Enter a preset name or size to purge';
+            errorDiv.classList.add('show');
+            return;
+        }
+        url += scope === 'preset' ? `/presets/${encodeURIComponent(target)}` : `/variants/${encodeURIComponent(target)}`;
     }
 
-    const isPublic = document.getElementById('isPublic').checked;
-    
-    const formData = new FormData();
-    formData.append('image', file);
-    formData.append('isPublic', isPublic.toString());
-
     try {
-        const response = await fetch(`${API_BASE}/api/upload`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            },
-            body: formData
+        const response = await apiFetch(url, {
+            method: 'DELETE'
         });
 
         const data = await response.json();
 
         if (response.ok) {
-            successDiv.textContent = `Image uploaded successfully! URL: ${data.image.url}`;
+            successDiv.textContent = `Purged ${data.removed} cached file${data.removed === 1 ? '' : 's'}.`;
             successDiv.classList.add('show');
-            fileInput.value = '';
-            loadImages();
+            loadCacheStats();
         } else {
-            errorDiv.textContent = data.error || 'Upload failed';
+            errorDiv.textContent = data.error || 'Failed to purge cache';
             errorDiv.classList.add('show');
         }
     } catch (error) {
@@ -226,153 +1611,119 @@ async function handleUpload(e) {
     }
 }
 
-// Load images list
-async function loadImages(filter = 'all') {
-    const imagesList = document.getElementById('imagesList');
-    imagesList.innerHTML = '<div class="loading">Loading images...</div>';
-
+async function purgeImageCache(imageId) {
     try {
-        const url = filter !== 'all' ? `${API_BASE}/api/images?filter=${filter}` : `${API_BASE}/api/images`;
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
+        const response = await apiFetch(`${API_BASE}/api/cache/images/${imageId}`, {
+            method: 'DELETE'
         });
 
         const data = await response.json();
 
         if (response.ok) {
-            const images = data.images || [];
-            
-            // Client-side filtering as fallback
-            let filteredImages = images;
-            if (filter === 'public') {
-                filteredImages = images.filter(img => img.isPublic === true);
-            } else if (filter === 'private') {
-                filteredImages = images.filter(img => img.isPublic === false);
-            }
-            
-            if (filteredImages.length > 0) {
-                imagesList.innerHTML = filteredImages.map(img => {
-                    // For private images, add auth token to URL; public images don't need it
-                    const thumbnailUrl = img.isPublic 
-                        ? `${API_BASE}${img.thumbnail}`
-                        : `${API_BASE}${img.thumbnail}?token=${authToken}`;
-                    const viewUrl = img.isPublic 
-                        ? `${API_BASE}${img.url}`
-                        : `${API_BASE}${img.url}?token=${authToken}`;
-                    
-                    return `
-                    <div class="image-item">
-                        <img src="${thumbnailUrl}" alt="${img.originalName}" onerror="this.src='data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22%3E%3C/svg%3E'">
-                        <div class="image-item-info">
-                            <div class="image-item-header">
-                                <span class="image-item-title">${img.originalName}</span>
-                                <span class="image-badge badge-${img.isPublic ? 'public' : 'private'}">
-                                    ${img.isPublic ? 'Public' : 'Private'}
-                                </span>
-                            </div>
-                            <div class="image-item-meta">
-                                ${img.width}x${img.height} • ${(img.size / 1024).toFixed(2)} KB
-                            </div>
-                            <div class="image-item-actions">
-                                <a href="${viewUrl}" target="_blank" class="btn btn-primary btn-sm">View</a>
-                                <button onclick="copyImageLink('${API_BASE}${img.url}', ${img.isPublic})" class="btn btn-secondary btn-sm">Copy Link</button>
-                                <button onclick="deleteImage('${img.id}')" class="btn btn-danger btn-sm">Delete</button>
-                            </div>
-                        </div>
-                    </div>
-                `;
-                }).join('');
-            } else {
-                imagesList.innerHTML = `<div class="empty-state">No ${filter === 'all' ? '' : filter} images found.</div>`;
-            }
+            alert(`Purged ${data.removed} cached file${data.removed === 1 ? '' : 's'}.`);
         } else {
-            imagesList.innerHTML = '<div class="empty-state">Failed to load images.</div>';
+            alert(data.error || 'Failed to purge cache');
         }
     } catch (error) {
-        imagesList.innerHTML = '<div class="empty-state">Error loading images.</div>';
+        alert('Network error. Please try again.');
     }
 }
 
-// Filter images
-function filterImages(filter) {
-    currentFilter = filter;
-    
-    // Update active tab
-    document.querySelectorAll('.filter-tab').forEach(tab => {
-        tab.classList.remove('active');
-        if (tab.dataset.filter === filter) {
-            tab.classList.add('active');
-        }
-    });
-    
-    // Load images with filter
-    loadImages(filter);
+// Audit log (admins)
+const AUDIT_PAGE_SIZE = 50;
+let auditQuery = null;
+let auditNextOffset = null;
+
+function showAuditLog() {
+    document.getElementById('auditModal').classList.add('active');
+    loadAuditLog();
 }
 
-// Copy image link to clipboard
-function copyImageLink(url, isPublic) {
-    // For private images, add token to URL
-    const linkToCopy = isPublic ? url : `${url}?token=${authToken}`;
-    
-    navigator.clipboard.writeText(linkToCopy).then(() => {
-        // Show temporary success message on the button that was clicked
-        const btn = event.target;
-        const originalText = btn.textContent;
-        btn.textContent = 'Copied!';
-        btn.style.background = '#10b981';
-        btn.style.color = 'white';
-        setTimeout(() => {
-            btn.textContent = originalText;
-            btn.style.background = '';
-            btn.style.color = '';
-        }, 2000);
-    }).catch(() => {
-        // Fallback for older browsers
-        const textarea = document.createElement('textarea');
-        textarea.value = linkToCopy;
-        textarea.style.position = 'fixed';
-        textarea.style.opacity = '0';
-        document.body.appendChild(textarea);
-        textarea.select();
-        try {
-            document.execCommand('copy');
-            const btn = event.target;
-            const originalText = btn.textContent;
-            btn.textContent = 'Copied!';
-            setTimeout(() => {
-                btn.textContent = originalText;
-            }, 2000);
-        } catch (err) {
-            alert('Failed to copy link. Link: ' + linkToCopy);
+function closeAuditLog() {
+    document.getElementById('auditModal').classList.remove('active');
+}
+
+function showAuditError(message) {
+    const errorDiv = document.getElementById('auditError');
+    errorDiv.textContent = message;
+    errorDiv.classList.add('show');
+}
+
+// Query parameters for the filters in the audit log form. Dates cover whole days in local time.
+function auditFilters() {
+    const form = document.getElementById('auditFilterForm');
+    const params = new URLSearchParams({ limit: AUDIT_PAGE_SIZE });
+    ['action', 'actor', 'outcome'].forEach(name => {
+        const value = form.elements[name].value.trim();
+        if (value) {
+            params.set(name, value);
         }
-        document.body.removeChild(textarea);
     });
+    if (form.elements.from.value) {
+        params.set('from', new Date(`${form.elements.from.value}T00:00:00`).toISOString());
+    }
+    if (form.elements.to.value) {
+        params.set('to', new Date(`${form.elements.to.value}T23:59:59.999`).toISOString());
+    }
+    return params;
 }
 
-// Delete image
-async function deleteImage(imageId) {
-    if (!confirm('Are you sure you want to delete this image?')) {
-        return;
+function auditDetails(details) {
+    return Object.entries(details || {})
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => `${name}: ${value}`)
+        .join(', ');
+}
+
+// Load the first page for the current filters
+async function loadAuditLog(e) {
+    if (e) {
+        e.preventDefault();
     }
+    auditQuery = auditFilters();
+    auditNextOffset = 0;
+    document.getElementById('auditList').innerHTML = '<tr><td colspan="7" class="loading">Loading...</td></tr>';
+    await loadMoreAuditEvents(true);
+}
+
+async function loadMoreAuditEvents(replace) {
+    document.getElementById('auditError').classList.remove('show');
+    const list = document.getElementById('auditList');
+    const moreButton = document.getElementById('auditMore');
+    const params = new URLSearchParams(auditQuery);
+    params.set('offset', auditNextOffset);
 
     try {
-        const response = await fetch(`${API_BASE}/api/images/${imageId}`, {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
-        });
+        const response = await apiFetch(`${API_BASE}/api/audit?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load the audit log');
+        }
 
-        if (response.ok) {
-            loadImages();
+        const rows = data.events.map(event => `
+            <tr class="${event.outcome === 'failure' ? 'audit-failure' : ''}">
+                <td>${new Date(event.time).toLocaleString()}</td>
+                <td>${escapeHtml(event.action)}</td>
+                <td>${event.outcome}</td>
+                <td>${escapeHtml(event.actor || '-')}${event.apiKeyId ? ` <span class="text-muted">(key ${escapeHtml(event.apiKeyId)})</span>` : ''}</td>
+                <td>${escapeHtml(event.ip || '-')}</td>
+                <td>${escapeHtml(event.target || '-')}</td>
+                <td class="text-muted">${escapeHtml(auditDetails(event.details))}</td>
+            </tr>`).join('');
+        if (replace) {
+            list.innerHTML = rows || '<tr><td colspan="7" class="empty-state">No matching events.</td></tr>';
         } else {
-            const data = await response.json();
-            alert(data.error || 'Failed to delete image');
+            list.insertAdjacentHTML('beforeend', rows);
         }
+        auditNextOffset = data.nextOffset;
+        moreButton.hidden = data.nextOffset === null;
+        document.getElementById('auditTotal').textContent = `${data.total} event${data.total === 1 ? '' : 's'}`;
     } catch (error) {
-        alert('Network error. Please try again.');
+        if (replace) {
+            list.innerHTML = '';
+        }
+        moreButton.hidden = true;
+        showAuditError(error.message);
     }
 }
 
@@ -389,16 +1740,23 @@ async function showTotpSetup() {
     // Check if TOTP is enabled
     if (currentUser && currentUser.totpEnabled) {
         disableSection.style.display = 'block';
+        document.getElementById('recoveryCodesLeft').textContent =
+            `${currentUser.recoveryCodesLeft} recovery code${currentUser.recoveryCodesLeft === 1 ? '' : 's'} left.`;
     } else {
         disableSection.style.display = 'none';
     }
+    document.querySelector('#changePasswordForm [data-totp-only]').hidden = !(currentUser && currentUser.totpEnabled);
 
     modal.classList.add('active');
+    loadPasskeys();
+    loadSessions();
 }
 
 function closeTotpSetup() {
     document.getElementById('totpSetupModal').classList.remove('active');
     document.getElementById('qrCodeDisplay').style.display = 'none';
+    document.getElementById('recoveryCodesDisplay').hidden = true;
+    document.getElementById('recoveryCodesList').textContent = '';
     document.getElementById('setupTotpCode').value = '';
 }
 
@@ -408,10 +1766,9 @@ async function generateTotpQr() {
     errorDiv.classList.remove('show');
 
     try {
-        const response = await fetch(`${API_BASE}/api/auth/totp/setup`, {
+        const response = await apiFetch(`${API_BASE}/api/auth/totp/setup`, {
             method: 'POST',
             headers: {
-                'Authorization': `Bearer ${authToken}`,
                 'Content-Type': 'application/json'
             }
         });
@@ -443,10 +1800,9 @@ async function enableTotp() {
     }
 
     try {
-        const response = await fetch(`${API_BASE}/api/auth/totp/verify`, {
+        const response = await apiFetch(`${API_BASE}/api/auth/totp/verify`, {
             method: 'POST',
             headers: {
-                'Authorization': `Bearer ${authToken}`,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ token: totpCode, enable: true })
@@ -456,9 +1812,11 @@ async function enableTotp() {
 
         if (response.ok) {
             currentUser.totpEnabled = true;
-            document.getElementById('userInfo').textContent = `User: ${currentUser.username} | TOTP: Enabled`;
-            closeTotpSetup();
-            alert('TOTP enabled successfully!');
+            currentUser.recoveryCodesLeft = data.recoveryCodes.length;
+            renderUserInfo();
+            document.getElementById('qrCodeDisplay').style.display = 'none';
+            document.getElementById('setupTotpCode').value = '';
+            showRecoveryCodes(data.recoveryCodes);
         } else {
             errorDiv.textContent = data.error || 'Invalid TOTP code';
             errorDiv.classList.add('show');
@@ -469,24 +1827,71 @@ async function enableTotp() {
     }
 }
 
+// Recovery codes are only shown right after they were created
+function showRecoveryCodes(codes) {
+    document.getElementById('recoveryCodesList').textContent = codes.join('\n');
+    document.getElementById('recoveryCodesDisplay').hidden = false;
+}
+
+// Ask for a TOTP or recovery code; returns the request fields for it, or null if cancelled
+function promptSecondFactor(message) {
+    const code = (prompt(message) || '').trim();
+    if (!code) {
+        return null;
+    }
+    return /^\d{6}$/.test(code) ? { token: code } : { recoveryCode: code };
+}
+
+// Ask for proof before changing how the user signs in: a TOTP or recovery code when TOTP is on,
+// otherwise the password. Returns the request fields for it, or null if cancelled.
+function promptReauthentication(action) {
+    if (currentUser && currentUser.totpEnabled) {
+        return promptSecondFactor(`Enter a code from your authenticator app (or a recovery code) to ${action}.`);
+    }
+    const password = prompt(`Enter your password to ${action}.`);
+    return password ? { password } : null;
+}
+
+async function regenerateRecoveryCodes() {
+    const codes = promptSecondFactor('Enter a code from your authenticator app (or a recovery code) to create new recovery codes. The old ones stop working.');
+    if (!codes) {
+        return;
+    }
+
+    try {
+        const data = await sessionRequest('POST', '/totp/recovery-codes', codes);
+        currentUser.recoveryCodesLeft = data.recoveryCodes.length;
+        document.getElementById('recoveryCodesLeft').textContent = `${data.recoveryCodes.length} recovery codes left.`;
+        showRecoveryCodes(data.recoveryCodes);
+    } catch (error) {
+        showSettingsError(error.message);
+    }
+}
+
 async function disableTotp() {
     if (!confirm('Are you sure you want to disable TOTP? This will reduce your account security.')) {
         return;
     }
+    const codes = promptSecondFactor('Enter a code from your authenticator app, or a recovery code');
+    if (!codes) {
+        return;
+    }
 
     try {
-        const response = await fetch(`${API_BASE}/api/auth/totp/disable`, {
+        const response = await apiFetch(`${API_BASE}/api/auth/totp/disable`, {
             method: 'POST',
             headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(codes)
         });
 
         const data = await response.json();
 
         if (response.ok) {
             currentUser.totpEnabled = false;
-            document.getElementById('userInfo').textContent = `User: ${currentUser.username} | TOTP: Disabled`;
+            currentUser.recoveryCodesLeft = 0;
+            renderUserInfo();
             closeTotpSetup();
             alert('TOTP disabled successfully!');
         } else {
@@ -497,11 +1902,206 @@ async function disableTotp() {
     }
 }
 
+// Passkeys of the signed-in user (in the settings modal)
+let loadedPasskeys = [];
+
+async function loadPasskeys() {
+    const list = document.getElementById('passkeysList');
+    list.innerHTML = '<tr><td colspan="4" class="loading">Loading...</td></tr>';
+
+    try {
+        const data = await sessionRequest('GET', '/passkeys');
+        loadedPasskeys = data.passkeys;
+        currentUser.passkeyCount = data.count;
+        if (data.count === 0) {
+            list.innerHTML = '<tr><td colspan="4" class="text-muted">No passkeys yet.</td></tr>';
+            return;
+        }
+        list.innerHTML = data.passkeys.map((passkey, index) => `
+            <tr>
+                <td>${escapeHtml(passkey.name)}</td>
+                <td>${new Date(passkey.createdAt).toLocaleDateString()}</td>
+                <td>${passkey.lastUsedAt ? new Date(passkey.lastUsedAt).toLocaleString() : 'Never'}</td>
+                <td class="user-actions">
+                    <button class="btn btn-ghost btn-sm" onclick="renamePasskey(${index})">Rename</button>
+                    <button class="btn btn-danger btn-sm" onclick="removePasskey(${index})">Remove</button>
+                </td>
+            </tr>`).join('');
+    } catch (error) {
+        list.innerHTML = '';
+        showSettingsError(error.message);
+    }
+}
+
+async function addPasskey() {
+    if (!window.PublicKeyCredential) {
+        showSettingsError('This browser does not support passkeys');
+        return;
+    }
+    const name = prompt('Name for this passkey (e.g. "Laptop" or "YubiKey")', 'Passkey');
+    if (name === null) {
+        return;
+    }
+    const proof = promptReauthentication('add a passkey');
+    if (!proof) {
+        return;
+    }
+
+    try {
+        const options = await sessionRequest('POST', '/passkeys/register/options', proof);
+        const response = await createPasskeyCredential(options);
+        await sessionRequest('POST', '/passkeys/register/verify', { name, response });
+        loadPasskeys();
+    } catch (error) {
+        showSettingsError(error.name === 'NotAllowedError' ? 'Passkey registration was cancelled' : error.message);
+    }
+}
+
+async function renamePasskey(index) {
+    const passkey = loadedPasskeys[index];
+    const name = prompt('New name for this passkey', passkey.name);
+    if (name === null || name === passkey.name) {
+        return;
+    }
+    try {
+        await sessionRequest('PATCH', `/passkeys/${encodeURIComponent(passkey.id)}`, { name });
+        loadPasskeys();
+    } catch (error) {
+        showSettingsError(error.message);
+    }
+}
+
+async function removePasskey(index) {
+    const passkey = loadedPasskeys[index];
+    if (!confirm(`Remove the passkey "${passkey.name}"? It can't be used to sign in any more.`)) {
+        return;
+    }
+    const proof = promptReauthentication('remove this passkey');
+    if (!proof) {
+        return;
+    }
+    try {
+        await sessionRequest('DELETE', `/passkeys/${encodeURIComponent(passkey.id)}`, proof);
+        loadPasskeys();
+    } catch (error) {
+        showSettingsError(error.message);
+    }
+}
+
+// Sessions and password change (in the settings modal)
+function showSettingsError(message) {
+    const errorDiv = document.getElementById('totpSetupError');
+    errorDiv.textContent = message;
+    errorDiv.classList.add('show');
+}
+
+async function sessionRequest(method, path, body) {
+    const response = await apiFetch(`${API_BASE}/api/auth${path}`, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+    }
+    return data;
+}
+
+async function loadSessions() {
+    const list = document.getElementById('sessionsList');
+    list.innerHTML = '<tr><td colspan="5" class="loading">Loading...</td></tr>';
+
+    try {
+        const data = await sessionRequest('GET', '/sessions');
+        list.innerHTML = data.sessions.map(session => `
+            <tr>
+                <td>${escapeHtml(session.userAgent || 'Unknown')}${session.current ? ' <strong>(this session)</strong>' : ''}</td>
+                <td>${escapeHtml(session.ip || '-')}</td>
+                <td>${new Date(session.createdAt).toLocaleString()}</td>
+                <td>${new Date(session.refreshedAt).toLocaleString()}</td>
+                <td>${session.current ? '' : `<button class="btn btn-danger btn-sm" onclick="revokeSession('${session.id}')">Sign out</button>`}</td>
+            </tr>`).join('');
+    } catch (error) {
+        list.innerHTML = '';
+        showSettingsError(error.message);
+    }
+}
+
+async function revokeSession(sessionId) {
+    try {
+        await sessionRequest('DELETE', `/sessions/${sessionId}`);
+        loadSessions();
+    } catch (error) {
+        showSettingsError(error.message);
+    }
+}
+
+async function logoutEverywhere() {
+    if (!confirm('Sign out of every session, including this one?')) {
+        return;
+    }
+    try {
+        await sessionRequest('POST', '/logout-all');
+        clearSession();
+        currentUser = null;
+        closeTotpSetup();
+        goToLogin();
+    } catch (error) {
+        showSettingsError(error.message);
+    }
+}
+
+async function changePassword(e) {
+    e.preventDefault();
+    document.getElementById('totpSetupError').classList.remove('show');
+    const form = e.target;
+
+    // The code field takes a TOTP code or a recovery code
+    const code = form.elements.totpCode.value.trim();
+    const isTotpCode = /^\d{6}$/.test(code);
+
+    try {
+        const data = await sessionRequest('POST', '/password', {
+            currentPassword: form.elements.currentPassword.value,
+            newPassword: form.elements.newPassword.value,
+            token: code && isTotpCode ? code : undefined,
+            recoveryCode: code && !isTotpCode ? code : undefined
+        });
+        form.reset();
+        loadSessions();
+        alert(`Password changed. ${data.signedOutSessions} other session${data.signedOutSessions === 1 ? ' was' : 's were'} signed out.`);
+    } catch (error) {
+        showSettingsError(error.message);
+    }
+}
+
+// Whether the signed-in user's role has a permission (see accounts.js on the server)
+function can(permission) {
+    return Boolean(currentUser && currentUser.permissions && currentUser.permissions.includes(permission));
+}
+
+// Uploaders may only change the images they uploaded
+function canManageImage(img) {
+    return can('images:manage-any') || (can('images:manage-own') && img.ownerId === currentUser.username);
+}
+
+function renderUserInfo() {
+    document.getElementById('userInfo').textContent =
+        `User: ${currentUser.username} (${currentUser.role}) | TOTP: ${currentUser.totpEnabled ? 'Enabled' : 'Disabled'}`;
+}
+
 // Show dashboard
 function showDashboard() {
     showScreen('dashboardScreen');
-    document.getElementById('userInfo').textContent = 
-        `User: ${currentUser.username} | TOTP: ${currentUser.totpEnabled ? 'Enabled' : 'Disabled'}`;
+    renderUserInfo();
+    // Only show what the user's role allows
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        element.hidden = !can(element.dataset.permission);
+    });
+    loadCollections();
     loadImages();
 }
 
@@ -511,12 +2111,28 @@ function goToLogin() {
     document.getElementById('loginForm').reset();
     // Clear OTP inputs
     document.querySelectorAll('.otp-input').forEach(inp => inp.value = '');
+    document.getElementById('recoveryCode').value = '';
+    if (!document.getElementById('recoveryCodeGroup').hidden) {
+        toggleRecoveryCode();
+    }
 }
 
-// Logout
-function logout() {
-    localStorage.removeItem('authToken');
-    authToken = null;
+// Logout: end the session on the server too, so the refresh token can't be used again
+async function logout() {
+    if (refreshToken) {
+        try {
+            await fetch(`${API_BASE}/api/auth/logout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+        } catch (error) {
+            console.error('Logout failed:', error);
+        }
+    }
+    clearSession();
     currentUser = null;
     goToLogin();
 }
@@ -0,0 +1,86 @@
+const config = require('./config');
+
+// Error raised when the render queue is full (sent back as 503 with Retry-After)
+class QueueFullError extends Error {
+  constructor(retryAfter) {
+    super('Server is busy rendering images. Please retry shortly.');
+    this.name = 'QueueFullError';
+    this.status = 503;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Runs image renders with limited concurrency so a burst of cache misses can't swamp the Pi.
+// Tasks with the same key that are already queued or running are not started again: every
+// caller gets the result of the one render. When more than maxPending tasks are waiting,
+// new ones are rejected with QueueFullError instead of piling up.
+function createRenderQueue({ concurrency, maxPending, retryAfter }) {
+  const inflight = new Map();
+  const pending = [];
+  let active = 0;
+  const counters = { completed: 0, failed: 0, coalesced: 0, rejected: 0 };
+
+  function drain() {
+    while (active < concurrency && pending.length > 0) {
+      const { task, resolve, reject } = pending.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(result => {
+          counters.completed++;
+          resolve(result);
+        }, error => {
+          counters.failed++;
+          reject(error);
+        })
+        .finally(() => {
+          active--;
+          drain();
+        });
+    }
+  }
+
+  return {
+    run(key, task) {
+      if (inflight.has(key)) {
+        counters.coalesced++;
+        return inflight.get(key);
+      }
+
+      if (active >= concurrency && pending.length >= maxPending) {
+        counters.rejected++;
+        return Promise.reject(new QueueFullError(retryAfter));
+      }
+
+      const promise = new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+      });
+      inflight.set(key, promise);
+      promise.then(() => inflight.delete(key), () => inflight.delete(key));
+      drain();
+      return promise;
+    },
+
+    stats() {
+      return {
+        active,
+        pending: pending.length,
+        concurrency,
+        maxPending,
+        ...counters
+      };
+    }
+  };
+}
+
+const renderQueue = createRenderQueue({
+  concurrency: config.renderConcurrency,
+  maxPending: config.renderQueueLimit,
+  retryAfter: config.renderRetryAfter
+});
+
+module.exports = {
+  QueueFullError,
+  createRenderQueue,
+  renderQueue
+};
@@ -0,0 +1,169 @@
+const config = require('./config');
+
+// Brute-force protection for the auth routes and request-rate limits for image serving and
+// uploads. Counters are kept in memory, so a restart clears them.
+
+// Fixed-window request counter: at most `max` requests per key in each window (max 0 = no limit)
+function createRequestLimiter({ max, windowSeconds }) {
+  const windows = new Map();
+
+  return {
+    // Count a request. retryAfter is the wait in seconds when the key is over the limit (else 0);
+    // firstRejected marks the first request turned away in a window, so it is logged only once.
+    hit(key, now = Date.now()) {
+      if (!max) {
+        return { retryAfter: 0, firstRejected: false };
+      }
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowSeconds * 1000 };
+        windows.set(key, entry);
+      }
+      entry.count++;
+      if (entry.count <= max) {
+        return { retryAfter: 0, firstRejected: false };
+      }
+      return { retryAfter: Math.ceil((entry.resetAt - now) / 1000), firstRejected: entry.count === max + 1 };
+    },
+
+    sweep(now = Date.now()) {
+      for (const [key, entry] of windows) {
+        if (entry.resetAt <= now) {
+          windows.delete(key);
+        }
+      }
+    }
+  };
+}
+
+// Progressive lockout: after maxFailures failures in a row a key is locked for baseSeconds, and
+// every further failure doubles that, up to maxSeconds. Failures are forgotten on success, or
+// resetSeconds after the last failure or lockout ended.
+function createLockout({ maxFailures, baseSeconds, maxSeconds, resetSeconds }) {
+  const entries = new Map();
+
+  function current(key, now) {
+    const entry = entries.get(key);
+    if (entry && Math.max(entry.lastFailureAt, entry.lockedUntil) + resetSeconds * 1000 <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    // Seconds until the key may try again (0 when it isn't locked)
+    retryAfter(key, now = Date.now()) {
+      const entry = current(key, now);
+      return entry && entry.lockedUntil > now ? Math.ceil((entry.lockedUntil - now) / 1000) : 0;
+    },
+
+    // Record a failure. Returns the failure count and, if this failure locked the key, for how long.
+    fail(key, now = Date.now()) {
+      const entry = current(key, now) || { failures: 0, lastFailureAt: 0, lockedUntil: 0 };
+      entry.failures++;
+      entry.lastFailureAt = now;
+      let lockedFor = 0;
+      if (entry.failures >= maxFailures) {
+        lockedFor = Math.min(baseSeconds * 2 ** (entry.failures - maxFailures), maxSeconds);
+        entry.lockedUntil = now + lockedFor * 1000;
+      }
+      entries.set(key, entry);
+      return { failures: entry.failures, lockedFor };
+    },
+
+    succeed(key) {
+      entries.delete(key);
+    },
+
+    sweep(now = Date.now()) {
+      for (const key of Array.from(entries.keys())) {
+        current(key, now);
+      }
+    }
+  };
+}
+
+const authLockout = createLockout({
+  maxFailures: config.authMaxFailures,
+  baseSeconds: config.authLockoutSeconds,
+  maxSeconds: config.authLockoutMaxSeconds,
+  resetSeconds: config.authFailureResetSeconds
+});
+const imageLimiter = createRequestLimiter({ max: config.imageRateLimit, windowSeconds: config.rateLimitWindow });
+const uploadLimiter = createRequestLimiter({ max: config.uploadRateLimit, windowSeconds: config.rateLimitWindow });
+
+function sendTooManyRequests(res, retryAfter, message) {
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({ error: message, retryAfter });
+}
+
+// Sign-in attempts are counted both for the client's IP address and for the account, so neither
+// guessing many passwords for one account nor one password for many accounts gets far
+function authKeys(req, username) {
+  return [`ip:${req.ip}`, `user:${username}`];
+}
+
+// Seconds before this client may try to sign in to this account again (0 = now)
+function authRetryAfter(req, username) {
+  return Math.max(...authKeys(req, username).map(key => authLockout.retryAfter(key)));
+}
+
+// Record a wrong password or code; logs any lockout it causes
+function recordAuthFailure(req, username, reason) {
+  for (const key of authKeys(req, username)) {
+    const { failures, lockedFor } = authLockout.fail(key);
+    if (lockedFor > 0) {
+      console.warn(`🔒 Locked out ${key} for ${lockedFor}s after ${failures} failed attempts (${reason})`);
+    }
+  }
+}
+
+// A successful sign-in clears the account's failures. The IP address's are left to expire, so
+// an attacker can't reset them by signing in to an account of their own.
+function recordAuthSuccess(username) {
+  authLockout.succeed(`user:${username}`);
+}
+
+function sendLockedOut(res, retryAfter) {
+  sendTooManyRequests(res, retryAfter, `Too many failed attempts. Try again in ${retryAfter} seconds.`);
+}
+
+// Middleware counting requests against a limiter. keyOf picks who is counted (default: the IP address).
+function rateLimit(limiter, label, keyOf = req => `ip:${req.ip}`) {
+  return (req, res, next) => {
+    const key = keyOf(req);
+    const { retryAfter, firstRejected } = limiter.hit(key);
+    if (retryAfter === 0) {
+      return next();
+    }
+    if (firstRejected) {
+      console.warn(`🚦 ${label} rate limit reached for ${key}; refusing requests for ${retryAfter}s`);
+    }
+    sendTooManyRequests(res, retryAfter, 'Too many requests. Please retry later.');
+  };
+}
+
+// Forget expired counters now and then, so memory doesn't grow with every client ever seen
+function startSweepJob() {
+  const timer = setInterval(() => {
+    authLockout.sweep();
+    imageLimiter.sweep();
+    uploadLimiter.sweep();
+  }, config.rateLimitWindow * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  createRequestLimiter,
+  createLockout,
+  imageLimiter,
+  uploadLimiter,
+  authRetryAfter,
+  recordAuthFailure,
+  recordAuthSuccess,
+  sendLockedOut,
+  rateLimit,
+  startSweepJob
+};
@@ -0,0 +1,234 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
+
+// Resumable uploads: the client announces a file, sends it in chunks with the offset each chunk
+// starts at, and can ask for the current offset after a dropped connection to carry on from there.
+// Each upload is a "<id>.json" description plus the "<id>.part" file the chunks are appended to,
+// so uploads survive a server restart.
+
+const UPLOAD_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Error raised for requests the client got wrong (sent back with the given status)
+class UploadError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    Object.assign(this, extra);
+  }
+}
+
+// Chunks for the same upload are appended one at a time, and completing or cancelling an upload
+// waits for (and holds off) everything else done to it
+const locks = new Map();
+
+function withLock(uploadId, fn) {
+  const previous = locks.get(uploadId) || Promise.resolve();
+  const run = previous.then(fn);
+  const settled = run.catch(() => {});
+  locks.set(uploadId, settled);
+  settled.then(() => {
+    if (locks.get(uploadId) === settled) {
+      locks.delete(uploadId);
+    }
+  });
+  return run;
+}
+
+function uploadPaths(uploadId) {
+  if (!UPLOAD_ID_PATTERN.test(uploadId)) {
+    throw new UploadError(404, 'Upload not found');
+  }
+  return {
+    info: path.join(config.resumableUploadPath, `${uploadId}.json`),
+    part: path.join(config.resumableUploadPath, `${uploadId}.part`)
+  };
+}
+
+async function init() {
+  await fs.mkdir(config.resumableUploadPath, { recursive: true });
+}
+
+// Start an upload. Validates the announced type and size before any bytes are sent; options are the
+// upload options (visibility, tags...) used when the upload is completed.
+async function createUpload({ filename, size, mimeType, options, createdBy }) {
+  if (typeof filename !== 'string' || filename.length === 0 || filename.length > 255) {
+    throw new UploadError(400, 'filename is required');
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new UploadError(400, 'size must be a positive integer (bytes)');
+  }
+  if (size > config.maxFileSize) {
+    throw new UploadError(400, `File too large. Maximum size is ${(config.maxFileSize / 1024 / 1024).toFixed(0)}MB`);
+  }
+  if (!config.allowedMimeTypes.includes(mimeType)) {
+    throw new UploadError(400, `Invalid file type. Allowed: ${config.allowedMimeTypes.join(', ')}`);
+  }
+
+  const uploadId = uuidv4();
+  const paths = uploadPaths(uploadId);
+  const upload = {
+    id: uploadId,
+    filename,
+    size,
+    mimeType,
+    options,
+    createdBy,
+    createdAt: new Date().toISOString()
+  };
+
+  await fs.writeFile(paths.part, Buffer.alloc(0));
+  await fs.writeFile(paths.info, JSON.stringify(upload, null, 2), 'utf8');
+  return describe(upload, 0, new Date());
+}
+
+// Upload description with the current offset (the size of the part file is the source of truth)
+async function getUpload(uploadId, createdBy) {
+  const paths = uploadPaths(uploadId);
+  let upload;
+  let stats;
+  try {
+    upload = JSON.parse(await fs.readFile(paths.info, 'utf8'));
+    stats = await fs.stat(paths.part);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new UploadError(404, 'Upload not found');
+    }
+    throw error;
+  }
+
+  if (upload.createdBy !== createdBy) {
+    throw new UploadError(404, 'Upload not found');
+  }
+
+  return { ...describe(upload, stats.size, stats.mtime), partPath: paths.part };
+}
+
+function describe(upload, offset, lastActivity) {
+  return {
+    ...upload,
+    offset,
+    complete: offset === upload.size,
+    expiresAt: new Date(lastActivity.getTime() + config.resumableUploadTtl).toISOString()
+  };
+}
+
+// Append a chunk that starts at the given offset. A mismatched offset (e.g. a chunk resent after
+// the first attempt did arrive) is rejected with 409 and the current offset.
+function appendChunk(uploadId, createdBy, offset, chunk) {
+  return withLock(uploadId, async () => {
+    const upload = await getUpload(uploadId, createdBy);
+
+    if (!Number.isInteger(offset) || offset !== upload.offset) {
+      throw new UploadError(409, 'Upload-Offset does not match the current offset', { offset: upload.offset });
+    }
+    if (chunk.length === 0) {
+      throw new UploadError(400, 'Empty chunk');
+    }
+    if (upload.offset + chunk.length > upload.size) {
+      throw new UploadError(400, 'Chunk goes past the announced size');
+    }
+
+    await fs.appendFile(upload.partPath, chunk);
+    const { partPath, ...updated } = await getUpload(uploadId, createdBy);
+    return updated;
+  });
+}
+
+// Hand a fully received upload to process (called with the upload, including partPath) and remove
+// it afterwards, whether or not processing succeeds. Resolves to what process resolves to. The
+// upload stays locked until it is gone, so a second complete of the same upload gets a 404 instead
+// of processing the file again.
+function finishUpload(uploadId, createdBy, process) {
+  return withLock(uploadId, async () => {
+    const upload = await getUpload(uploadId, createdBy);
+    if (!upload.complete) {
+      throw new UploadError(409, `Upload is incomplete (${upload.offset} of ${upload.size} bytes)`, { offset: upload.offset });
+    }
+    try {
+      return await process(upload);
+    } finally {
+      await removeUpload(uploadId);
+    }
+  });
+}
+
+// Abandon an upload, once any chunk being appended or completion in progress is done
+function cancelUpload(uploadId, createdBy) {
+  return withLock(uploadId, async () => {
+    const upload = await getUpload(uploadId, createdBy);
+    await removeUpload(upload.id);
+  });
+}
+
+async function removeUpload(uploadId) {
+  const paths = uploadPaths(uploadId);
+  await fs.unlink(paths.part).catch(() => {});
+  await fs.unlink(paths.info).catch(() => {});
+}
+
+// Delete uploads nobody has sent a chunk to for config.resumableUploadTtl
+async function cleanupAbandonedUploads() {
+  let names;
+  try {
+    names = await fs.readdir(config.resumableUploadPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  const cutoff = Date.now() - config.resumableUploadTtl;
+  let removed = 0;
+
+  for (const name of names.filter(file => file.endsWith('.json'))) {
+    const uploadId = path.basename(name, '.json');
+    if (!UPLOAD_ID_PATTERN.test(uploadId) || locks.has(uploadId)) {
+      continue;
+    }
+    const paths = uploadPaths(uploadId);
+    try {
+      const partStats = await fs.stat(paths.part).catch(() => null);
+      const infoStats = await fs.stat(paths.info);
+      const lastActivity = Math.max(infoStats.mtimeMs, partStats ? partStats.mtimeMs : 0);
+      if (lastActivity < cutoff) {
+        await removeUpload(uploadId);
+        removed++;
+      }
+    } catch (error) {
+      console.warn('Upload cleanup warning:', error);
+    }
+  }
+
+  return removed;
+}
+
+// Run the cleanup periodically
+function startCleanupJob() {
+  const timer = setInterval(() => {
+    cleanupAbandonedUploads()
+      .then(removed => {
+        if (removed > 0) {
+          console.log(`🧹 Removed ${removed} abandoned upload${removed === 1 ? '' : 's'}`);
+        }
+      })
+      .catch(error => console.error('Upload cleanup error:', error));
+  }, config.resumableCleanupInterval);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  UploadError,
+  init,
+  createUpload,
+  getUpload,
+  appendChunk,
+  finishUpload,
+  cancelUpload,
+  cleanupAbandonedUploads,
+  startCleanupJob
+};
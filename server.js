@@ -1,24 +1,114 @@
 const express = require('express');
 const multer = require('multer');
+const archiver = require('archiver');
 const sharp = require('sharp');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
 const config = require('./config');
-const { validateApiKey, validateToken, verifyToken, generateImageId } = require('./utils');
-const { loadMetadata, saveMetadata, loadUsers, saveUsers } = require('./storage');
+const {
+  validateApiKey,
+  validateToken,
+  authenticate,
+  requirePermission,
+  requireSession,
+  generateImageId,
+  hashStream,
+  hashFile,
+  parseTags
+} = require('./utils');
+const { openDatabase, transaction, images, users, presets, collections, apiKeys, sessions } = require('./storage');
+const { createDriver } = require('./drivers');
+const { cacheKeyFor, createVariantCache } = require('./cache');
+const { QueueFullError, renderQueue } = require('./queue');
+const { SignedUrlError, parseRequestedVariants, signImageUrl, verifyImageSignature, hasSignature } = require('./signing');
+const resumable = require('./resumable');
+const { UploadError } = resumable;
+const { ImageValidationError, inspectUpload, stripMetadata } = require('./validation');
+const { originalStorageKey, referencedKeys, currentVersion, replaceOriginal } = require('./versions');
+const { MetadataError, parseMetadataPatch, applyMetadataPatch } = require('./metadata');
+const { ListQueryError, parseListQuery, listImages } = require('./listing');
+const { CollectionError, buildCollection, isNameTaken, moveToCollection, visibilityChange } = require('./collections');
+const {
+  AccountError,
+  requestOwner,
+  canManageImage,
+  parsePassword,
+  parseNewUser,
+  parseUserPatch,
+  hasActiveAdmin,
+  userResponse
+} = require('./accounts');
+const { SCOPES, ApiKeyError, generateApiKey, parseNewApiKey, apiKeyResponse } = require('./apikeys');
+const {
+  createSession,
+  parseRefreshToken,
+  matchRefreshSecret,
+  rotateSession,
+  isSessionExpired,
+  sessionResponse
+} = require('./sessions');
+const {
+  TransformError,
+  negotiateFormat,
+  parseTransformQuery,
+  parseSizePath,
+  describeTransform,
+  parseVariant,
+  toQueryString,
+  applyTransform
+} = require('./transform');
+const { createTtlStore, startExpiryJob } = require('./ttlstore');
+const { AuditQueryError, initAudit, audit, parseAuditQuery, queryAudit } = require('./audit');
+const {
+  PasskeyError,
+  CHALLENGE_TTL,
+  parsePasskeyName,
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+  responseCredentialId,
+  passkeyResponse
+} = require('./passkeys');
+const {
+  imageLimiter,
+  uploadLimiter,
+  authRetryAfter,
+  recordAuthFailure,
+  recordAuthSuccess,
+  sendLockedOut,
+  rateLimit,
+  startSweepJob
+} = require('./ratelimit');
+const { DEFAULT_PRESETS, validatePresetName, buildPreset, presetOptions, isProtectedPreset } = require('./presets');
 const {
   generateToken,
   verifyPassword,
   hashPassword,
   generateTotpSecret,
   verifyTotpToken,
+  generateRecoveryCodes,
+  useSecondFactor,
   generateQrCodeUrl,
   createDefaultAdmin
 } = require('./auth');
 
 const app = express();
+app.set('trust proxy', config.trustProxyHops);
+
+// Where originals and cached variants are kept (local disk or an S3-compatible bucket)
+const originals = createDriver('originals');
+const variantCache = createVariantCache(createDriver('cache'));
+
+// Short-lived login state, kept with an expiry (see ttlstore.js)
+const pendingLogins = createTtlStore('logins'); // Logins waiting for their second step, by tempSessionId
+const pendingTotpSetups = createTtlStore('totp-setups'); // TOTP secrets waiting to be confirmed, by username
+const pendingPasskeys = createTtlStore('passkey-registrations'); // Passkey registrations in progress, by username
+const passkeyChallenges = createTtlStore('passkey-challenges'); // Passwordless sign-in challenges, by challengeId
 
 // Middleware
 app.use(cors());
@@ -30,17 +120,24 @@ app.use(express.static('public'));
 // Ensure storage directories exist
 async function initStorage() {
   try {
-    await fs.mkdir(config.originalsPath, { recursive: true });
-    await fs.mkdir(config.cachePath, { recursive: true });
+    await fs.mkdir(config.storagePath, { recursive: true });
+    await fs.mkdir(config.uploadTempPath, { recursive: true });
+    await resumable.init();
+    await originals.init();
+    await variantCache.init();
     
-    // Initialize metadata file if it doesn't exist
-    try {
-      await fs.access(config.metadataPath);
-    } catch {
-      await fs.writeFile(config.metadataPath, JSON.stringify({ images: {} }, null, 2));
+    // Open the database (migrates metadata.json, users.json and presets.json on first start)
+    await openDatabase();
+    await initAudit();
+
+    // Create the default presets if there are none yet
+    if (presets.count() === 0) {
+      for (const [name, definition] of Object.entries(DEFAULT_PRESETS)) {
+        await presets.put(name, buildPreset(name, definition));
+      }
     }
     
-    // Initialize users file and create default admin if needed
+    // Create default admin if there are no users yet
     await createDefaultAdmin();
   } catch (error) {
     console.error('Error initializing storage:', error);
@@ -50,7 +147,7 @@ async function initStorage() {
 
 // Configure multer for file uploads
 const upload = multer({
-  dest: config.originalsPath,
+  dest: config.uploadTempPath,
   limits: {
     fileSize: config.maxFileSize
   },
@@ -63,6 +160,72 @@ const upload = multer({
   }
 });
 
+function rejectBatchFile(req, file, error) {
+  req.rejectedFiles = req.rejectedFiles || [];
+  req.rejectedFiles.push({ originalname: file.originalname, error });
+}
+
+// Multer storage for batch uploads. Like the disk storage, but a file over config.maxFileSize is
+// dropped (the rest of it is read and discarded) and reported on its own, where multer's fileSize
+// limit would fail the whole request. Dropped files come through with tooLarge set.
+const batchStorage = {
+  _handleFile(req, file, cb) {
+    const filePath = path.join(config.uploadTempPath, crypto.randomBytes(16).toString('hex'));
+    const output = createWriteStream(filePath);
+    let size = 0;
+    let tooLarge = false;
+
+    file.stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > config.maxFileSize && !tooLarge) {
+        tooLarge = true;
+        file.stream.unpipe(output);
+        output.destroy();
+        file.stream.resume();
+      }
+    });
+    file.stream.on('end', () => {
+      if (!tooLarge) {
+        return;
+      }
+      fs.unlink(filePath).catch(() => {});
+      rejectBatchFile(req, file, `File too large. Maximum size is ${(config.maxFileSize / 1024 / 1024).toFixed(0)}MB`);
+      cb(null, { tooLarge: true, size });
+    });
+    output.on('error', error => {
+      if (!tooLarge) {
+        cb(error);
+      }
+    });
+    output.on('finish', () => {
+      cb(null, { destination: config.uploadTempPath, filename: path.basename(filePath), path: filePath, size });
+    });
+    file.stream.pipe(output);
+  },
+  _removeFile(req, file, cb) {
+    if (!file.path) {
+      return cb(null);
+    }
+    fs.unlink(file.path).then(() => cb(null), cb);
+  }
+};
+
+// Multer for batch uploads: files with a disallowed type or over the size limit are skipped and
+// reported per file instead of failing the whole request
+const batchUpload = multer({
+  storage: batchStorage,
+  limits: {
+    files: config.maxBatchFiles
+  },
+  fileFilter: (req, file, cb) => {
+    if (config.allowedMimeTypes.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    rejectBatchFile(req, file, `Invalid file type. Allowed: ${config.allowedMimeTypes.join(', ')}`);
+    cb(null, false);
+  }
+});
+
 // API Routes
 
 // Serve index page
@@ -77,6 +240,101 @@ app.get('/health', (req, res) => {
 
 // Authentication Routes
 
+// Sign a user in: create a session (clearing out their expired ones) and return its tokens
+async function startSession(req, user) {
+  const { record, refreshToken } = createSession(user.username, req);
+  await transaction(tx => {
+    for (const previous of sessions.findBy('username', user.username)) {
+      if (isSessionExpired(previous)) {
+        tx.delete('sessions', previous.id);
+      }
+    }
+    tx.put('sessions', record.id, record);
+  });
+
+  return {
+    token: generateToken(user.username, user.username, record.id),
+    refreshToken: refreshToken,
+    expiresIn: config.jwtExpiresIn
+  };
+}
+
+// Second steps a user can sign in with after the password
+function secondFactorMethods(user) {
+  const methods = [];
+  if (user.totpEnabled && user.totpSecret) {
+    methods.push('totp');
+  }
+  if ((user.passkeys || []).length > 0) {
+    methods.push('passkey');
+  }
+  return methods;
+}
+
+// Save a changed pending login, keeping its expiry
+function savePendingLogin(tempSessionId, tempSession) {
+  return pendingLogins.set(tempSessionId, tempSession, tempSession.expiresAt - Date.now());
+}
+
+// Audit a sign-in to an account. method is how it was (or wasn't) proved: password, totp,
+// recovery-code or passkey; failureReason is left out for a successful sign-in.
+function auditLogin(req, username, method, failureReason) {
+  audit(req, 'auth.login', {
+    outcome: failureReason ? 'failure' : 'success',
+    actor: username,
+    details: failureReason ? { method, reason: failureReason } : { method }
+  });
+}
+
+// Claim a pending login for one second-step attempt. It is taken out of the store for as long as
+// the attempt runs, so parallel requests can't each get a guess at it, and the attempt is counted
+// before the code or passkey is checked. Resolves to null when the id is unknown or has expired.
+// Put it back with savePendingLogin() unless the login is finished or dropped.
+async function claimPendingLogin(tempSessionId) {
+  const tempSession = typeof tempSessionId === 'string' ? await pendingLogins.take(tempSessionId) : null;
+  if (tempSession) {
+    tempSession.attempts++;
+  }
+  return tempSession;
+}
+
+// Count a failed second step (claimed with claimPendingLogin) against the lockouts. After
+// config.totpMaxAttempts attempts the login is dropped and has to start again with the password.
+async function failSecondStep(req, res, tempSessionId, tempSession, method, reason, message) {
+  recordAuthFailure(req, tempSession.username, reason);
+  auditLogin(req, tempSession.username, method, reason);
+  if (tempSession.attempts >= config.totpMaxAttempts) {
+    console.warn(`🔒 Dropped login for ${tempSession.username} after ${tempSession.attempts} failed second-step attempts`);
+    return res.status(401).json({ error: 'Too many failed attempts. Please login again.' });
+  }
+  await savePendingLogin(tempSessionId, tempSession);
+  return res.status(401).json({ error: message });
+}
+
+// Check a TOTP code ({ token }) or recovery code ({ recoveryCode }) of a user with TOTP on, and mark
+// it used so it can't be replayed. Resolves to the updated user, or null when the code isn't valid.
+function consumeSecondFactor(username, codes) {
+  return transaction(tx => {
+    const user = tx.get('users', username);
+    const changes = user && user.totpEnabled && useSecondFactor(user, codes);
+    if (!changes) {
+      return null;
+    }
+    const updated = { ...user, ...changes };
+    tx.put('users', username, updated);
+    return updated;
+  });
+}
+
+// Sign out every session of a user, except keepSessionId if given. Resolves to how many were ended.
+function endSessions(username, keepSessionId) {
+  return transaction(tx => {
+    const ended = sessions.findBy('username', username).filter(session => session.id !== keepSessionId);
+    ended.forEach(session => tx.delete('sessions', session.id));
+    return ended.length;
+  });
+}
+
 // Login - Step 1: Username/Password
 app.post('/api/auth/login', async (req, res) => {
   try {
@@ -86,48 +344,59 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(400).json({ error: 'Username and password are required' });
     }
 
-    const users = await loadUsers();
-    const user = users[username];
+    const retryAfter = authRetryAfter(req, username);
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    const user = users.get(username);
 
     if (!user) {
+      recordAuthFailure(req, username, 'unknown user');
+      auditLogin(req, username, 'password', 'unknown user');
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
     const isValidPassword = await verifyPassword(password, user.passwordHash);
     if (!isValidPassword) {
+      recordAuthFailure(req, username, 'wrong password');
+      auditLogin(req, username, 'password', 'wrong password');
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
-    // If TOTP is enabled, require TOTP verification
-    if (user.totpEnabled && user.totpSecret) {
-      // Return temporary session ID for TOTP verification step
+    if (user.disabled) {
+      auditLogin(req, username, 'password', 'account disabled');
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+
+    // If TOTP or a passkey is set up, require it as a second step
+    const methods = secondFactorMethods(user);
+    if (methods.length > 0) {
+      // Return temporary session ID for the verification step
       const tempSessionId = uuidv4();
-      // Store temp session in memory (for production, use Redis or similar)
-      if (!req.app.locals.tempSessions) {
-        req.app.locals.tempSessions = {};
-      }
-      req.app.locals.tempSessions[tempSessionId] = {
+      await pendingLogins.set(tempSessionId, {
         username,
+        attempts: 0, // Failed attempts so far; the login is dropped after config.totpMaxAttempts
+        passkeyChallenge: null,
         createdAt: Date.now(),
-        expiresAt: Date.now() + 5 * 60 * 1000 // 5 minutes
-      };
+        expiresAt: Date.now() + config.loginStepTtl
+      }, config.loginStepTtl);
 
       return res.json({
-        requiresTotp: true,
+        requiresTotp: true, // Kept for older clients: true whenever a second step is needed
+        methods: methods,
         tempSessionId: tempSessionId,
-        message: 'TOTP verification required'
+        message: methods.includes('totp') ? 'TOTP verification required' : 'Passkey verification required'
       });
     }
 
-    // TOTP not enabled, generate token directly
-    const token = generateToken(user.username, username);
+    // No second step set up, sign in directly
+    recordAuthSuccess(username);
+    auditLogin(req, username, 'password');
     res.json({
       success: true,
-      token: token,
-      user: {
-        username: user.username,
-        totpEnabled: false
-      }
+      ...await startSession(req, user),
+      user: userResponse(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -136,24 +405,25 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 // TOTP Setup - Enable TOTP for a user
-app.post('/api/auth/totp/setup', validateToken, async (req, res) => {
+app.post('/api/auth/totp/setup', validateToken, requireSession, async (req, res) => {
   try {
     const username = req.user.username;
-    const users = await loadUsers();
-    const user = users[username];
+    const user = users.get(username);
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    // Replacing a TOTP secret that is on takes a current code, like every other TOTP change
+    if (user.totpEnabled && !await requireSecondFactor(req, res, user)) {
+      return;
+    }
 
     // Generate new TOTP secret
     const secret = generateTotpSecret(username);
     
-    // Store temporary secret (don't enable yet - user needs to verify first)
-    if (!req.app.locals.pendingTotp) {
-      req.app.locals.pendingTotp = {};
-    }
-    req.app.locals.pendingTotp[username] = secret.base32;
+    // Store temporary secret (don't enable yet - user needs to verify first). replacesEnabled
+    // records that the current code was checked above, which enabling it relies on.
+    await pendingTotpSetups.set(username, { secret: secret.base32, replacesEnabled: user.totpEnabled === true }, config.totpSetupTtl);
 
     // Generate QR code
     const qrCodeUrl = await generateQrCodeUrl(secret.otpauth_url);
@@ -173,8 +443,7 @@ app.post('/api/auth/totp/setup', validateToken, async (req, res) => {
 // TOTP Verify - Verify TOTP code and enable TOTP
 app.post('/api/auth/totp/verify', async (req, res) => {
   try {
-    const { token, enable, tempSessionId } = req.body;
-    const users = await loadUsers();
+    const { token, recoveryCode, enable, tempSessionId } = req.body;
     let username;
     let user;
 
@@ -188,92 +457,112 @@ app.post('/api/auth/totp/verify', async (req, res) => {
         return res.status(401).json({ error: 'Authentication token required to enable TOTP' });
       }
 
-      const decoded = verifyToken(jwtToken);
-      if (!decoded) {
+      const auth = authenticate(req);
+      if (auth.error || !auth.user || auth.user.apiKeyId) {
         return res.status(401).json({ error: 'Invalid authentication token' });
       }
 
-      username = decoded.username;
-      user = users[username];
+      username = auth.user.username;
+      user = users.get(username);
 
       if (!user) {
         return res.status(404).json({ error: 'User not found' });
       }
 
       // Enable TOTP - verify against pending secret
-      if (!req.app.locals.pendingTotp || !req.app.locals.pendingTotp[username]) {
+      const pending = await pendingTotpSetups.get(username);
+      if (!pending) {
         return res.status(400).json({ error: 'No pending TOTP setup. Call /api/auth/totp/setup first' });
       }
+      // With TOTP already on, only a setup that passed requireSecondFactor may replace the secret
+      if (user.totpEnabled && !pending.replacesEnabled) {
+        await pendingTotpSetups.delete(username);
+        return res.status(403).json({ error: 'TOTP is already enabled. Start the setup again with a current TOTP code (token) or recoveryCode' });
+      }
+      const pendingSecret = pending.secret;
 
-      const pendingSecret = req.app.locals.pendingTotp[username];
-      const isValid = verifyTotpToken(pendingSecret, token);
+      const step = verifyTotpToken(pendingSecret, token);
 
-      if (!isValid) {
+      if (step === null) {
         return res.status(400).json({ error: 'Invalid TOTP code' });
       }
 
-      // Enable TOTP
-      user.totpSecret = pendingSecret;
-      user.totpEnabled = true;
-      users[username] = user;
-      await saveUsers(users);
+      // Enable TOTP, with a fresh set of recovery codes
+      const recovery = generateRecoveryCodes();
+      await users.update(username, current => ({
+        ...current,
+        totpSecret: pendingSecret,
+        totpEnabled: true,
+        totpLastStep: step,
+        totpRecoveryCodes: recovery.hashes
+      }));
 
       // Clear pending secret
-      delete req.app.locals.pendingTotp[username];
+      await pendingTotpSetups.delete(username);
+      audit(req, 'auth.totp.enable', { actor: username, target: username });
 
       res.json({
         success: true,
-        message: 'TOTP enabled successfully'
+        message: 'TOTP enabled successfully. Keep the recovery codes somewhere safe: they are only shown once.',
+        recoveryCodes: recovery.codes
       });
     } else {
       // Verify TOTP after login (for 2FA step) - uses tempSessionId, no JWT token needed
       if (!tempSessionId) {
         return res.status(400).json({ error: 'tempSessionId is required for TOTP verification' });
       }
-
-      // Check temp session
-      if (!req.app.locals.tempSessions || !req.app.locals.tempSessions[tempSessionId]) {
-        return res.status(400).json({ error: 'Invalid or expired session' });
+      if (!token && !recoveryCode) {
+        return res.status(400).json({ error: 'A TOTP code (token) or recoveryCode is required' });
       }
 
-      const tempSession = req.app.locals.tempSessions[tempSessionId];
-      
-      // Check expiration
-      if (Date.now() > tempSession.expiresAt) {
-        delete req.app.locals.tempSessions[tempSessionId];
-        return res.status(400).json({ error: 'Session expired. Please login again.' });
+      // Claim the temp session for this attempt (expired ones are gone from the store)
+      const tempSession = await claimPendingLogin(tempSessionId);
+      if (!tempSession) {
+        return res.status(400).json({ error: 'Invalid or expired session. Please login again.' });
       }
 
       username = tempSession.username;
-      user = users[username];
+      user = users.get(username);
 
       if (!user) {
         return res.status(404).json({ error: 'User not found' });
       }
+      if (user.disabled) {
+        return res.status(403).json({ error: 'This account has been disabled' });
+      }
 
-      // Verify TOTP
+      // Verify TOTP (the attempt isn't counted when no code is checked)
       if (!user.totpSecret) {
+        tempSession.attempts--;
+        await savePendingLogin(tempSessionId, tempSession);
         return res.status(400).json({ error: 'TOTP not enabled for this user' });
       }
 
-      const isValid = verifyTotpToken(user.totpSecret, token);
-      if (!isValid) {
-        return res.status(401).json({ error: 'Invalid TOTP code' });
+      const retryAfter = authRetryAfter(req, username);
+      if (retryAfter > 0) {
+        tempSession.attempts--;
+        await savePendingLogin(tempSessionId, tempSession);
+        return sendLockedOut(res, retryAfter);
       }
 
-      // Generate final token
-      const finalToken = generateToken(username, username);
+      // A code that was already used counts as wrong, so an observed code can't be replayed
+      const verified = await consumeSecondFactor(username, { token, recoveryCode });
+      if (!verified) {
+        const method = recoveryCode ? 'recovery-code' : 'totp';
+        return failSecondStep(req, res, tempSessionId, tempSession, method, recoveryCode ? 'wrong recovery code' : 'wrong TOTP code', 'Invalid TOTP code');
+      }
 
-      // Clean up temp session
-      delete req.app.locals.tempSessions[tempSessionId];
+      // The temp session stays claimed, so the login can't be finished a second time
+      recordAuthSuccess(username);
+      auditLogin(req, username, recoveryCode ? 'recovery-code' : 'totp');
+      if (recoveryCode) {
+        console.log(`🔑 ${username} signed in with a recovery code (${verified.totpRecoveryCodes.length} left)`);
+      }
 
       res.json({
         success: true,
-        token: finalToken,
-        user: {
-          username: user.username,
-          totpEnabled: true
-        }
+        ...await startSession(req, verified),
+        user: userResponse(verified)
       });
     }
   } catch (error) {
@@ -282,21 +571,74 @@ app.post('/api/auth/totp/verify', async (req, res) => {
   }
 });
 
-// Disable TOTP
-app.post('/api/auth/totp/disable', validateToken, async (req, res) => {
+// Check the TOTP or recovery code sent with a request that changes the user's TOTP settings. Sends
+// the error response and resolves to null when it's missing, wrong or the user is locked out.
+async function requireSecondFactor(req, res, user) {
+  const { token, recoveryCode } = req.body;
+  if (!user.totpEnabled) {
+    res.status(400).json({ error: 'TOTP is not enabled' });
+    return null;
+  }
+  if (!token && !recoveryCode) {
+    res.status(400).json({ error: 'A current TOTP code (token) or recoveryCode is required' });
+    return null;
+  }
+  const retryAfter = authRetryAfter(req, user.username);
+  if (retryAfter > 0) {
+    sendLockedOut(res, retryAfter);
+    return null;
+  }
+  const verified = await consumeSecondFactor(user.username, { token, recoveryCode });
+  if (!verified) {
+    recordAuthFailure(req, user.username, recoveryCode ? 'wrong recovery code' : 'wrong TOTP code');
+    res.status(403).json({ error: recoveryCode ? 'Invalid recovery code' : 'Invalid or already used TOTP code' });
+    return null;
+  }
+  return verified;
+}
+
+// Check that the request really comes from the user before changing how they can sign in, so a
+// stolen access token can't be turned into a lasting login: a current TOTP or recovery code when
+// TOTP is on, otherwise their password. Sends the error response and resolves to false when it's
+// missing, wrong or the user is locked out.
+async function requireReauthentication(req, res, user) {
+  if (user.totpEnabled) {
+    return Boolean(await requireSecondFactor(req, res, user));
+  }
+  const retryAfter = authRetryAfter(req, user.username);
+  if (retryAfter > 0) {
+    sendLockedOut(res, retryAfter);
+    return false;
+  }
+  if (!req.body.password || !await verifyPassword(req.body.password, user.passwordHash)) {
+    recordAuthFailure(req, user.username, 'wrong password on passkey change');
+    res.status(403).json({ error: 'Your current password (password) is required' });
+    return false;
+  }
+  return true;
+}
+
+// Disable TOTP (needs a current TOTP code or a recovery code)
+app.post('/api/auth/totp/disable', validateToken, requireSession, async (req, res) => {
   try {
     const username = req.user.username;
-    const users = await loadUsers();
-    const user = users[username];
+    const user = users.get(username);
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    if (!await requireSecondFactor(req, res, user)) {
+      return;
+    }
 
-    user.totpSecret = null;
-    user.totpEnabled = false;
-    users[username] = user;
-    await saveUsers(users);
+    await users.update(username, current => ({
+      ...current,
+      totpSecret: null,
+      totpEnabled: false,
+      totpLastStep: null,
+      totpRecoveryCodes: []
+    }));
+    audit(req, 'auth.totp.disable', { target: username });
 
     res.json({
       success: true,
@@ -308,314 +650,2374 @@ app.post('/api/auth/totp/disable', validateToken, async (req, res) => {
   }
 });
 
-// Get current user info
-app.get('/api/auth/me', validateToken, async (req, res) => {
+// Replace the recovery codes with a new set (needs a current TOTP code or a recovery code)
+app.post('/api/auth/totp/recovery-codes', validateToken, requireSession, async (req, res) => {
   try {
-    const username = req.user.username;
-    const users = await loadUsers();
-    const user = users[username];
+    const user = users.get(req.user.username);
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    if (!await requireSecondFactor(req, res, user)) {
+      return;
+    }
+
+    const recovery = generateRecoveryCodes();
+    await users.update(user.username, current => ({
+      ...current,
+      totpRecoveryCodes: recovery.hashes
+    }));
 
     res.json({
-      username: user.username,
-      totpEnabled: user.totpEnabled || false,
-      createdAt: user.createdAt
+      success: true,
+      message: 'New recovery codes created. The old ones no longer work.',
+      recoveryCodes: recovery.codes
     });
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to get user info', message: error.message });
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to create recovery codes', message: error.message });
   }
 });
 
-// Upload image
-app.post('/api/upload', validateApiKey, (req, res, next) => {
-  upload.single('image')(req, res, (err) => {
-    // Handle Multer errors
-    if (err) {
-      console.error('Multer error:', err);
-      if (err.code === 'LIMIT_FILE_SIZE') {
-        return res.status(400).json({ 
-          error: `File too large. Maximum size is ${(config.maxFileSize / 1024 / 1024).toFixed(0)}MB` 
-        });
-      }
-      if (err.code === 'LIMIT_UNEXPECTED_FILE') {
-        return res.status(400).json({ error: 'Unexpected file field. Use "image" field name.' });
-      }
-      return res.status(400).json({ error: err.message || 'File upload error' });
-    }
-    next();
-  });
-}, async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
-    }
+// Passkeys (WebAuthn)
 
-    const imageId = generateImageId();
-    const originalPath = req.file.path;
-    const originalExt = path.extname(req.file.originalname);
-    const newPath = path.join(config.originalsPath, `${imageId}${originalExt}`);
+function sendPasskeyError(res, error, action) {
+  if (error instanceof PasskeyError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action.toLowerCase()}`, message: error.message });
+}
 
-    // Rename file to use imageId
-    await fs.rename(originalPath, newPath);
+// Change the signed-in user's passkeys; fn gets the current list and returns the new one
+async function updatePasskeys(username, fn) {
+  const updated = await users.update(username, current => ({
+    ...current,
+    passkeys: fn(current.passkeys || [])
+  }));
+  return updated.passkeys;
+}
 
-    // Get image metadata
-    const image = sharp(newPath);
-    const metadata = await image.metadata();
+// Register a passkey - Step 1: options for navigator.credentials.create(). Needs the password, or a
+// TOTP or recovery code when TOTP is on (see requireReauthentication); step 2 only accepts a
+// registration started here.
+app.post('/api/auth/passkeys/register/options', validateToken, requireSession, async (req, res) => {
+  try {
+    const user = users.get(req.user.username);
+    if (!await requireReauthentication(req, res, user)) {
+      return;
+    }
+    const { options, webauthnUserId } = await registrationOptions(req, user);
 
-    // Get isPublic from form data (default to false if not provided)
-    const isPublic = req.body.isPublic === 'true' || req.body.isPublic === true;
+    await pendingPasskeys.set(user.username, { challenge: options.challenge, webauthnUserId }, CHALLENGE_TTL);
 
-    // Save to metadata
-    const metadataStore = await loadMetadata();
-    metadataStore.images[imageId] = {
-      id: imageId,
-      originalName: req.file.originalname,
-      mimeType: req.file.mimetype,
-      size: req.file.size,
-      width: metadata.width,
-      height: metadata.height,
-      format: metadata.format,
-      uploadedAt: new Date().toISOString(),
-      extension: originalExt,
-      isPublic: isPublic
-    };
-    await saveMetadata(metadataStore);
+    res.json(options);
+  } catch (error) {
+    sendPasskeyError(res, error, 'Start passkey registration');
+  }
+});
 
-    res.json({
-      success: true,
-      image: {
-        id: imageId,
-        url: `/images/${imageId}`,
-        thumbnail: `/images/${imageId}/200/200`,
-        ...metadataStore.images[imageId]
+// Register a passkey - Step 2: check the authenticator's response and store the passkey
+app.post('/api/auth/passkeys/register/verify', validateToken, requireSession, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const name = req.body.name === undefined ? 'Passkey' : parsePasskeyName(req.body.name);
+    if (!responseCredentialId(req.body.response)) {
+      throw new PasskeyError('response is required');
+    }
+    const pending = await pendingPasskeys.take(username);
+    if (!pending) {
+      throw new PasskeyError('No pending passkey registration. Call /api/auth/passkeys/register/options first');
+    }
+
+    const passkey = await verifyRegistration(req, req.body.response, pending.challenge, name);
+    await transaction(tx => {
+      // Passwordless sign-in finds the account by passkey id, so an id may only be registered once
+      if (users.all().some(user => (user.passkeys || []).some(existing => existing.id === passkey.id))) {
+        throw new PasskeyError('This passkey is already registered', 409);
       }
+      const user = tx.get('users', username);
+      tx.put('users', username, {
+        ...user,
+        webauthnUserId: pending.webauthnUserId,
+        passkeys: [...(user.passkeys || []), passkey]
+      });
     });
+
+    res.status(201).json({ success: true, passkey: passkeyResponse(passkey) });
   } catch (error) {
-    console.error('Upload error:', error);
-    
-    // Handle Multer errors in catch block as well
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ 
-        error: `File too large. Maximum size is ${(config.maxFileSize / 1024 / 1024).toFixed(0)}MB` 
-      });
-    }
-    
-    res.status(500).json({ error: 'Failed to upload image', message: error.message });
+    sendPasskeyError(res, error, 'Register passkey');
   }
 });
 
-// Serve image (with optional resizing)
-app.get('/images/:id', async (req, res) => {
-  return serveImage(req, res, null, null);
+// List the signed-in user's passkeys
+app.get('/api/auth/passkeys', validateToken, requireSession, async (req, res) => {
+  try {
+    const user = users.get(req.user.username);
+    const list = (user.passkeys || []).map(passkeyResponse);
+    res.json({ count: list.length, passkeys: list });
+  } catch (error) {
+    sendPasskeyError(res, error, 'List passkeys');
+  }
 });
 
-app.get('/images/:id/:width/:height', async (req, res) => {
-  const width = parseInt(req.params.width);
-  const height = parseInt(req.params.height);
+// Rename a passkey
+app.patch('/api/auth/passkeys/:id', validateToken, requireSession, async (req, res) => {
+  try {
+    const name = parsePasskeyName(req.body.name);
+    const user = users.get(req.user.username);
+    if (!(user.passkeys || []).some(passkey => passkey.id === req.params.id)) {
+      return res.status(404).json({ error: 'Passkey not found' });
+    }
 
-  if (isNaN(width) || isNaN(height) || width <= 0 || height <= 0 || width > 5000 || height > 5000) {
-    return res.status(400).json({ error: 'Invalid dimensions. Max: 5000x5000' });
+    const passkeys = await updatePasskeys(user.username, current =>
+      current.map(passkey => (passkey.id === req.params.id ? { ...passkey, name } : passkey)));
+    res.json({ success: true, passkey: passkeyResponse(passkeys.find(passkey => passkey.id === req.params.id)) });
+  } catch (error) {
+    sendPasskeyError(res, error, 'Rename passkey');
   }
-
-  return serveImage(req, res, width, height);
 });
 
-// Helper to get token from query parameter (for img tags that can't send headers)
-function getTokenFromRequest(req) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  const queryToken = req.query.token;
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-  
-  return { token: token || queryToken, apiKey };
-}
-
-async function serveImage(req, res, width, height) {
+// Remove a passkey; it can't be used to sign in any more. Needs the same proof as registering one.
+app.delete('/api/auth/passkeys/:id', validateToken, requireSession, async (req, res) => {
   try {
-    const imageId = req.params.id;
-    const metadataStore = await loadMetadata();
-
-    if (!metadataStore.images[imageId]) {
-      return res.status(404).json({ error: 'Image not found' });
+    const user = users.get(req.user.username);
+    if (!(user.passkeys || []).some(passkey => passkey.id === req.params.id)) {
+      return res.status(404).json({ error: 'Passkey not found' });
     }
-
-    const imageMeta = metadataStore.images[imageId];
-    
-    // Check if image is private - require authentication
-    // If isPublic is undefined (legacy images), treat as private
-    if (imageMeta.isPublic !== true) {
-      // Check if user is authenticated - support both header and query parameter
-      const { token: tokenFromReq, apiKey } = getTokenFromRequest(req);
-      
-      if (tokenFromReq) {
-        const { verifyToken } = require('./utils');
-        const decoded = verifyToken(tokenFromReq);
-        if (!decoded) {
-          return res.status(401).json({ error: 'Invalid authentication token' });
-        }
-      } else if (apiKey && apiKey === config.apiKey) {
-        // Legacy API key support
-      } else {
-        return res.status(403).json({ error: 'This image is private. Authentication required.' });
-      }
+    if (!await requireReauthentication(req, res, user)) {
+      return;
     }
-    const originalPath = path.join(config.originalsPath, `${imageId}${imageMeta.extension}`);
 
-    // Check if original file exists
-    try {
-      await fs.access(originalPath);
-    } catch {
-      return res.status(404).json({ error: 'Image file not found' });
-    }
+    await updatePasskeys(user.username, current => current.filter(passkey => passkey.id !== req.params.id));
+    res.json({ success: true, message: 'Passkey removed' });
+  } catch (error) {
+    sendPasskeyError(res, error, 'Remove passkey');
+  }
+});
 
-    // If no resizing needed, serve original
-    if (!width || !height) {
-      res.setHeader('Cache-Control', `public, max-age=${config.cacheMaxAge}`);
-      res.setHeader('Content-Type', imageMeta.mimeType);
-      return res.sendFile(path.resolve(originalPath));
+// Sign in with a passkey - Step 1: options for navigator.credentials.get(). With a tempSessionId
+// from /api/auth/login the passkey is the second step after the password; without one it is a
+// passwordless sign-in, answered with any passkey registered for this site.
+app.post('/api/auth/passkeys/login/options', async (req, res) => {
+  try {
+    const { tempSessionId } = req.body;
+
+    if (tempSessionId) {
+      // Taken and put back, like a second-step attempt, so a stale copy can't overwrite another
+      // request's change (or bring back a dropped login); this doesn't count as an attempt
+      const tempSession = typeof tempSessionId === 'string' ? await pendingLogins.take(tempSessionId) : null;
+      if (!tempSession) {
+        return res.status(400).json({ error: 'Invalid or expired session' });
+      }
+      const user = users.get(tempSession.username);
+      if (!user || (user.passkeys || []).length === 0) {
+        await savePendingLogin(tempSessionId, tempSession);
+        return res.status(400).json({ error: 'No passkeys registered for this user' });
+      }
+      const options = await authenticationOptions(req, user.passkeys);
+      tempSession.passkeyChallenge = options.challenge;
+      await savePendingLogin(tempSessionId, tempSession);
+      return res.json(options);
     }
 
-    // Check cache for resized version
-    const cacheKey = `${imageId}_${width}x${height}`;
-    const cachePath = path.join(config.cachePath, `${cacheKey}.webp`);
+    // Passwordless: the challenge is kept under its own id until the response comes back
+    const options = await authenticationOptions(req, null);
+    const challengeId = uuidv4();
+    await passkeyChallenges.set(challengeId, { challenge: options.challenge }, CHALLENGE_TTL);
 
-    try {
-      // Try to serve from cache
-      await fs.access(cachePath);
-      res.setHeader('Cache-Control', `public, max-age=${config.cacheMaxAge}`);
-      res.setHeader('Content-Type', 'image/webp');
-      return res.sendFile(path.resolve(cachePath));
-    } catch {
-      // Generate resized version
-      const resizedBuffer = await sharp(originalPath)
-        .resize(width, height, {
-          fit: 'inside',
-          withoutEnlargement: true
-        })
-        .webp({ quality: config.formats.webp.quality })
-        .toBuffer();
-
-      // Save to cache
-      await fs.writeFile(cachePath, resizedBuffer);
-
-      res.setHeader('Cache-Control', `public, max-age=${config.cacheMaxAge}`);
-      res.setHeader('Content-Type', 'image/webp');
-      return res.send(resizedBuffer);
-    }
+    res.json({ ...options, challengeId });
   } catch (error) {
-    console.error('Serve image error:', error);
-    res.status(500).json({ error: 'Failed to serve image', message: error.message });
+    sendPasskeyError(res, error, 'Start passkey sign-in');
   }
-}
+});
 
-// List all images
-app.get('/api/images', validateApiKey, async (req, res) => {
+// Sign in with a passkey - Step 2: check the authenticator's response and start a session
+app.post('/api/auth/passkeys/login/verify', async (req, res) => {
   try {
-    const metadataStore = await loadMetadata();
-    let images = Object.values(metadataStore.images).map(img => ({
-      ...img,
-      url: `/images/${img.id}`,
-      thumbnail: `/images/${img.id}/200/200`,
-      // Ensure isPublic is boolean (default false for legacy images)
-      isPublic: img.isPublic === true
-    }));
+    const { tempSessionId, challengeId, response } = req.body;
+    const credentialId = responseCredentialId(response);
+    if (!credentialId) {
+      return res.status(400).json({ error: 'response is required' });
+    }
+
+    let user;
+    let used;
+    if (tempSessionId) {
+      // Second step after the password; the temp session is claimed for this attempt
+      const tempSession = await claimPendingLogin(tempSessionId);
+      if (!tempSession) {
+        return res.status(400).json({ error: 'Invalid or expired session' });
+      }
+      if (!tempSession.passkeyChallenge) {
+        tempSession.attempts--;
+        await savePendingLogin(tempSessionId, tempSession);
+        return res.status(400).json({ error: 'No passkey challenge for this session. Request options first' });
+      }
+      const retryAfter = authRetryAfter(req, tempSession.username);
+      if (retryAfter > 0) {
+        tempSession.attempts--;
+        await savePendingLogin(tempSessionId, tempSession);
+        return sendLockedOut(res, retryAfter);
+      }
+      user = users.get(tempSession.username);
+      if (!user || user.disabled) {
+        return res.status(403).json({ error: 'This account has been disabled' });
+      }
+
+      const passkey = (user.passkeys || []).find(candidate => candidate.id === credentialId);
+      const challenge = tempSession.passkeyChallenge;
+      tempSession.passkeyChallenge = null; // Each challenge can only be answered once
+      used = passkey && await verifyAuthentication(req, response, challenge, passkey, false);
+      if (!used) {
+        return failSecondStep(req, res, tempSessionId, tempSession, 'passkey', 'passkey verification failed', 'Passkey verification failed');
+      }
+      // The temp session stays claimed, so the login can't be finished a second time
+    } else {
+      // Passwordless: the passkey names the account, and must have verified the user (PIN or biometrics)
+      const pending = typeof challengeId === 'string' ? await passkeyChallenges.take(challengeId) : null;
+      if (!pending) {
+        return res.status(400).json({ error: 'Invalid or expired challenge. Request new options' });
+      }
+
+      user = users.all().find(candidate => (candidate.passkeys || []).some(passkey => passkey.id === credentialId));
+      if (!user) {
+        auditLogin(req, null, 'passkey', 'unknown passkey');
+        return res.status(401).json({ error: 'This passkey is not registered' });
+      }
+      const retryAfter = authRetryAfter(req, user.username);
+      if (retryAfter > 0) {
+        return sendLockedOut(res, retryAfter);
+      }
+      if (user.disabled) {
+        auditLogin(req, user.username, 'passkey', 'account disabled');
+        return res.status(403).json({ error: 'This account has been disabled' });
+      }
 
-    // Filter by public/private if filter query parameter is provided
-    const filter = req.query.filter;
-    if (filter === 'public') {
-      images = images.filter(img => img.isPublic === true);
-    } else if (filter === 'private') {
-      images = images.filter(img => img.isPublic === false);
+      const passkey = user.passkeys.find(candidate => candidate.id === credentialId);
+      used = await verifyAuthentication(req, response, pending.challenge, passkey, true);
+      if (!used) {
+        recordAuthFailure(req, user.username, 'passkey verification failed');
+        auditLogin(req, user.username, 'passkey', 'passkey verification failed');
+        return res.status(401).json({ error: 'Passkey verification failed' });
+      }
     }
 
+    // Keep the new signature counter, so a cloned authenticator is noticed
+    await updatePasskeys(user.username, current =>
+      current.map(passkey => (passkey.id === used.id ? used : passkey)));
+    recordAuthSuccess(user.username);
+    auditLogin(req, user.username, 'passkey');
+
     res.json({
-      count: images.length,
-      images: images
+      success: true,
+      ...await startSession(req, user),
+      user: userResponse(users.get(user.username))
     });
   } catch (error) {
-    console.error('List images error:', error);
-    res.status(500).json({ error: 'Failed to list images', message: error.message });
+    sendPasskeyError(res, error, 'Passkey sign-in');
   }
 });
 
-// Get single image info
-app.get('/api/images/:id', validateApiKey, async (req, res) => {
+// Get current user info
+app.get('/api/auth/me', validateToken, async (req, res) => {
   try {
-    const imageId = req.params.id;
-    const metadataStore = await loadMetadata();
+    const username = req.user.username;
+    const user = users.get(username);
 
-    if (!metadataStore.images[imageId]) {
-      return res.status(404).json({ error: 'Image not found' });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const imageMeta = metadataStore.images[imageId];
-    res.json({
-      ...imageMeta,
-      url: `/images/${imageMeta.id}`,
-      thumbnail: `/images/${imageMeta.id}/200/200`
-    });
+    res.json(userResponse(user));
   } catch (error) {
-    console.error('Get image error:', error);
-    res.status(500).json({ error: 'Failed to get image', message: error.message });
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Failed to get user info', message: error.message });
   }
 });
 
-// Delete image
-app.delete('/api/images/:id', validateApiKey, async (req, res) => {
+// Exchange a refresh token for a new access token. The refresh token is replaced too; using an
+// old one again means it was copied, so the whole session is signed out.
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const imageId = req.params.id;
-    const metadataStore = await loadMetadata();
-
-    if (!metadataStore.images[imageId]) {
-      return res.status(404).json({ error: 'Image not found' });
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    if (!parsed) {
+      return res.status(400).json({ error: 'refreshToken is required' });
     }
 
-    const imageMeta = metadataStore.images[imageId];
-    const originalPath = path.join(config.originalsPath, `${imageId}${imageMeta.extension}`);
+    const result = await transaction(tx => {
+      const session = tx.get('sessions', parsed.id);
+      if (!session || isSessionExpired(session)) {
+        return { status: 401, error: 'Session expired. Please log in again.' };
+      }
+      const match = matchRefreshSecret(session, parsed.secret);
+      if (match !== 'current') {
+        if (match === 'previous') {
+          tx.delete('sessions', session.id);
+          console.warn(`Refresh token reused for session ${session.id} (${session.username}); session signed out`);
+        }
+        return { status: 401, error: 'Invalid refresh token. Please log in again.' };
+      }
+      const user = users.get(session.username);
+      if (!user || user.disabled) {
+        tx.delete('sessions', session.id);
+        return { status: 403, error: 'This account has been disabled' };
+      }
 
-    // Delete original file
-    try {
-      await fs.unlink(originalPath);
-    } catch (error) {
-      console.warn('Could not delete original file:', error);
-    }
+      const rotated = rotateSession(session, req);
+      tx.put('sessions', session.id, rotated.record);
+      return { user, session: rotated.record, refreshToken: rotated.refreshToken };
+    });
 
-    // Delete cached versions (find all cache files for this image)
-    try {
-      const cacheFiles = await fs.readdir(config.cachePath);
-      const imageCacheFiles = cacheFiles.filter(file => file.startsWith(imageId));
-      await Promise.all(
-        imageCacheFiles.map(file => 
-          fs.unlink(path.join(config.cachePath, file)).catch(err => console.warn('Cache delete warning:', err))
-        )
-      );
-    } catch (error) {
-      console.warn('Could not delete cache files:', error);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-
-    // Remove from metadata
-    delete metadataStore.images[imageId];
-    await saveMetadata(metadataStore);
-
-    res.json({ success: true, message: 'Image deleted' });
+    res.json({
+      success: true,
+      token: generateToken(result.user.username, result.user.username, result.session.id),
+      refreshToken: result.refreshToken,
+      expiresIn: config.jwtExpiresIn
+    });
   } catch (error) {
-    console.error('Delete image error:', error);
-    res.status(500).json({ error: 'Failed to delete image', message: error.message });
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session', message: error.message });
   }
 });
 
-// Start server
+// Log out: sign out the current session (found from the access token, or from the refresh token
+// when the access token has already expired)
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    let sessionId = null;
+    const parsed = parseRefreshToken(req.body && req.body.refreshToken);
+    if (parsed) {
+      const session = sessions.get(parsed.id);
+      if (session && matchRefreshSecret(session, parsed.secret) === 'current') {
+        sessionId = session.id;
+      }
+    } else {
+      const auth = authenticate(req);
+      if (auth.user && auth.user.sid) {
+        sessionId = auth.user.sid;
+      }
+    }
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'Unauthorized. No session to log out of.' });
+    }
+    await sessions.delete(sessionId);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out', message: error.message });
+  }
+});
+
+// Sign out every session of the current user, including this one
+app.post('/api/auth/logout-all', validateToken, requireSession, async (req, res) => {
+  try {
+    const ended = await endSessions(req.user.username);
+    res.json({ success: true, message: `Signed out of ${ended} session${ended === 1 ? '' : 's'}` });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to sign out sessions', message: error.message });
+  }
+});
+
+// List the current user's sessions
+app.get('/api/auth/sessions', validateToken, requireSession, async (req, res) => {
+  try {
+    const list = sessions.findBy('username', req.user.username)
+      .filter(session => !isSessionExpired(session))
+      .sort((a, b) => b.refreshedAt.localeCompare(a.refreshedAt))
+      .map(session => sessionResponse(session, req.user.sid));
+    res.json({ count: list.length, sessions: list });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to list sessions', message: error.message });
+  }
+});
+
+// Sign out one of the current user's sessions
+app.delete('/api/auth/sessions/:id', validateToken, requireSession, async (req, res) => {
+  try {
+    const session = sessions.get(req.params.id);
+    if (!session || session.username !== req.user.username) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await sessions.delete(session.id);
+    res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to sign out session', message: error.message });
+  }
+});
+
+function sendAccountError(res, error, action) {
+  if (error instanceof AccountError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action.toLowerCase()}`, message: error.message });
+}
+
+// Change your password. Needs the current password, and a TOTP code (token) or recovery code when
+// TOTP is enabled (a wrong one is a 403, as the session itself is fine). Every other session is
+// signed out.
+app.post('/api/auth/password', validateToken, requireSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword, token, recoveryCode } = req.body;
+    const user = users.get(req.user.username);
+
+    const retryAfter = authRetryAfter(req, user.username);
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
+    }
+    if (!currentPassword || !await verifyPassword(currentPassword, user.passwordHash)) {
+      recordAuthFailure(req, user.username, 'wrong password on password change');
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+    parsePassword(newPassword);
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: 'The new password must be different from the current one' });
+    }
+    if (user.totpEnabled && !await consumeSecondFactor(user.username, { token, recoveryCode })) {
+      recordAuthFailure(req, user.username, 'wrong TOTP code on password change');
+      return res.status(403).json({ error: 'A valid TOTP code (token) or recoveryCode is required' });
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+    await users.update(user.username, current => ({
+      ...current,
+      passwordHash,
+      passwordChangedAt: new Date().toISOString()
+    }));
+    const ended = await endSessions(user.username, req.user.sid);
+
+    res.json({ success: true, message: 'Password changed', signedOutSessions: ended });
+  } catch (error) {
+    sendAccountError(res, error, 'Change password');
+  }
+});
+
+// User Management Routes (admins only)
+
+// Account details plus how many images the user owns
+function userListEntry(user) {
+  return {
+    ...userResponse(user),
+    imageCount: images.findBy('ownerId', user.username).length
+  };
+}
+
+// List users
+app.get('/api/users', validateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const list = users.all()
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .map(userListEntry);
+    res.json({ count: list.length, users: list });
+  } catch (error) {
+    sendAccountError(res, error, 'List users');
+  }
+});
+
+// Create a user
+app.post('/api/users', validateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { username, password, role } = parseNewUser(req.body);
+    const passwordHash = await hashPassword(password);
+
+    const user = await transaction(tx => {
+      if (tx.get('users', username)) {
+        throw new AccountError(`User "${username}" already exists`, 409);
+      }
+      const created = {
+        username,
+        passwordHash,
+        role,
+        disabled: false,
+        createdAt: new Date().toISOString(),
+        createdBy: req.user ? req.user.username : null,
+        totpSecret: null,
+        totpEnabled: false
+      };
+      tx.put('users', username, created);
+      return created;
+    });
+
+    res.status(201).json({ success: true, user: userListEntry(user) });
+  } catch (error) {
+    sendAccountError(res, error, 'Create user');
+  }
+});
+
+// Change a user's role or disable/enable the account. Disabled users can't log in and their
+// tokens stop working straight away. There must always be an active admin left.
+app.patch('/api/users/:username', validateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const changes = parseUserPatch(req.body);
+
+    const user = await transaction(tx => {
+      const current = tx.get('users', req.params.username);
+      if (!current) {
+        return null;
+      }
+      const next = { ...current, ...changes, updatedAt: new Date().toISOString() };
+      const others = users.all().filter(other => other.username !== next.username);
+      if (!hasActiveAdmin([...others, next])) {
+        throw new AccountError('This would leave no active admin. Make another user an admin first', 409);
+      }
+      tx.put('users', next.username, next);
+      return next;
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.disabled) {
+      await endSessions(user.username);
+    }
+    res.json({ success: true, user: userListEntry(user) });
+  } catch (error) {
+    sendAccountError(res, error, 'Update user');
+  }
+});
+
+// Set a new password for a user. Their sessions are signed out.
+app.post('/api/users/:username/password', validateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const passwordHash = await hashPassword(parsePassword(req.body.password));
+    const user = await users.update(req.params.username, current => ({
+      ...current,
+      passwordHash,
+      passwordChangedAt: new Date().toISOString()
+    }));
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await endSessions(user.username);
+    res.json({ success: true, message: `Password of ${user.username} reset` });
+  } catch (error) {
+    sendAccountError(res, error, 'Reset password');
+  }
+});
+
+// Delete a user, their API keys and sessions. Their images are kept but no longer have an owner, so only
+// admins can change them.
+app.delete('/api/users/:username', validateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const username = req.params.username;
+    if (req.user && username === req.user.username) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const orphaned = await transaction(tx => {
+      if (!tx.get('users', username)) {
+        return null;
+      }
+      if (!hasActiveAdmin(users.all().filter(other => other.username !== username))) {
+        throw new AccountError('This would leave no active admin. Make another user an admin first', 409);
+      }
+      tx.delete('users', username);
+      for (const key of apiKeys.findBy('ownerId', username)) {
+        tx.delete('apiKeys', key.id);
+      }
+      for (const session of sessions.findBy('username', username)) {
+        tx.delete('sessions', session.id);
+      }
+      const owned = images.findBy('ownerId', username);
+      for (const imageMeta of owned) {
+        tx.put('images', imageMeta.id, { ...imageMeta, ownerId: null });
+      }
+      return owned.length;
+    });
+
+    if (orphaned === null) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ success: true, message: 'User deleted', orphanedImages: orphaned });
+  } catch (error) {
+    sendAccountError(res, error, 'Delete user');
+  }
+});
+
+// API Key Routes. Keys are managed by logged-in users, not with other API keys.
+
+// List your API keys (admins: ?all=true lists everyone's)
+app.get('/api/keys', validateToken, requireSession, async (req, res) => {
+  try {
+    const all = req.query.all === 'true' && req.user.permissions.includes('users:manage');
+    const list = (all ? apiKeys.all() : apiKeys.findBy('ownerId', req.user.username))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(apiKeyResponse);
+    res.json({ count: list.length, scopes: Object.keys(SCOPES), keys: list });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to list API keys', message: error.message });
+  }
+});
+
+// Create an API key. The key is only returned in this response.
+app.post('/api/keys', validateToken, requireSession, async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = parseNewApiKey(req.body, req.user.role);
+    const { id, key, secretHash } = generateApiKey();
+    const record = {
+      id,
+      name,
+      ownerId: req.user.username,
+      scopes,
+      secretHash,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      lastUsedAt: null
+    };
+    await apiKeys.put(id, record);
+
+    res.status(201).json({
+      success: true,
+      key: key,
+      apiKey: apiKeyResponse(record),
+      message: 'Store this key now. It cannot be shown again.'
+    });
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key', message: error.message });
+  }
+});
+
+// Revoke an API key (your own; admins can revoke anyone's)
+app.delete('/api/keys/:id', validateToken, requireSession, async (req, res) => {
+  try {
+    const record = apiKeys.get(req.params.id);
+    const mayRevoke = record && (record.ownerId === req.user.username || req.user.permissions.includes('users:manage'));
+    if (!mayRevoke) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await apiKeys.delete(record.id);
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key', message: error.message });
+  }
+});
+
+// Turn Multer errors into 400 responses
+function handleUploadErrors(middleware, fieldName) {
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (err) {
+        console.error('Multer error:', err);
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({ 
+            error: `File too large. Maximum size is ${(config.maxFileSize / 1024 / 1024).toFixed(0)}MB` 
+          });
+        }
+        if (err.code === 'LIMIT_FILE_COUNT') {
+          return res.status(400).json({ error: `Too many files. Maximum is ${config.maxBatchFiles} per request` });
+        }
+        if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return res.status(400).json({ error: `Unexpected file field. Use "${fieldName}" field name.` });
+        }
+        return res.status(400).json({ error: err.message || 'File upload error' });
+      }
+      next();
+    });
+  };
+}
+
+// Options shared by every file in an upload request
+function parseUploadOptions(body) {
+  return {
+    // Get isPublic from form data (default to false if not provided)
+    isPublic: body.isPublic === 'true' || body.isPublic === true,
+    tags: parseTags(body.tags),
+    collectionId: body.collectionId || null
+  };
+}
+
+// The collection an upload goes into (null for none); throws if it doesn't exist
+function uploadCollection(collectionId) {
+  if (!collectionId) {
+    return null;
+  }
+  const collection = collections.get(collectionId);
+  if (!collection) {
+    throw new CollectionError('Collection not found');
+  }
+  return collection;
+}
+
+// Storage keys (from keys) that no image refers to any more once imageId has the record next
+// (null when it is deleted). Run inside a transaction so nothing can start sharing them before
+// the change is committed.
+function unreferencedOriginals(keys, imageId, next) {
+  const stillUsed = new Set(next ? referencedKeys(next) : []);
+  for (const img of images.all()) {
+    if (img.id !== imageId) {
+      referencedKeys(img).forEach(key => stillUsed.add(key));
+    }
+  }
+  return Array.from(new Set(keys)).filter(key => !stillUsed.has(key));
+}
+
+async function deleteOriginals(keys) {
+  for (const key of keys) {
+    try {
+      await originals.delete(key);
+    } catch (error) {
+      console.warn('Could not delete original file:', error);
+    }
+  }
+}
+
+function imageResponse(imageRecord) {
+  return {
+    id: imageRecord.id,
+    url: `/images/${imageRecord.id}`,
+    thumbnail: thumbnailPath(imageRecord.id),
+    ...imageRecord
+  };
+}
+
+// Validate an uploaded file, apply the upload policy and describe the resulting original
+async function prepareOriginal(file) {
+  // Check what the file really is; the client's Content-Type and file name are only hints
+  const inspected = await inspectUpload(file.path);
+  let { width, height } = inspected;
+  let size = file.size;
+
+  if (config.uploadPolicy.stripMetadata && inspected.hasMetadata) {
+    ({ width, height, size } = await stripMetadata(file.path, inspected));
+  }
+
+  return {
+    originalName: file.originalname,
+    mimeType: inspected.mimeType,
+    size: size,
+    width: width,
+    height: height,
+    format: inspected.format,
+    extension: inspected.extension,
+    contentHash: await hashFile(file.path)
+  };
+}
+
+// Store an uploaded file (already on disk in the temp directory) and create its metadata record,
+// owned by ownerId. If an image with the same content already exists, its original is reused:
+// either the new record points at the stored bytes (config.dedupMode 'share') or the existing
+// record is returned ('reuse').
+async function processUpload(file, { isPublic, tags, collectionId, ownerId }) {
+  try {
+    const imageId = generateImageId();
+    const collection = uploadCollection(collectionId);
+    const original = await prepareOriginal(file);
+
+    const imageRecord = {
+      id: imageId,
+      originalName: original.originalName,
+      mimeType: original.mimeType,
+      size: original.size,
+      width: original.width,
+      height: original.height,
+      format: original.format,
+      uploadedAt: new Date().toISOString(),
+      extension: original.extension,
+      contentHash: original.contentHash,
+      isPublic: isPublic,
+      tags: tags,
+      ownerId: ownerId || null
+    };
+    if (collection) {
+      Object.assign(imageRecord, moveToCollection(imageRecord, collection));
+    }
+
+    if (config.dedupMode !== 'off') {
+      // Look for the duplicate inside a transaction so a concurrent delete can't remove the
+      // shared original between finding it and adding the new reference. Only the uploader's own
+      // records are reused; a copy someone else owns is shared instead, so its record (which may
+      // be private) is never handed out.
+      const { duplicate, reused } = await transaction(tx => {
+        const existing = images.findBy('contentHash', original.contentHash);
+        const owned = existing.find(record => record.ownerId === imageRecord.ownerId);
+        if (owned && config.dedupMode === 'reuse') {
+          return { duplicate: owned, reused: true };
+        }
+        if (existing.length > 0) {
+          tx.put('images', imageId, { ...imageRecord, blobKey: originalStorageKey(existing[0]) });
+        }
+        return { duplicate: existing[0], reused: false };
+      });
+
+      if (duplicate) {
+        await fs.unlink(file.path).catch(() => {});
+        if (reused) {
+          return { ...imageResponse(duplicate), duplicateOf: duplicate.id };
+        }
+        return { ...imageResponse(images.get(imageId)), duplicateOf: duplicate.id };
+      }
+    }
+
+    // Move the upload into storage under the imageId, with the extension of the detected format
+    await originals.putFile(`${imageId}${original.extension}`, file.path, { contentType: original.mimeType });
+
+    // Save to metadata
+    await images.put(imageId, imageRecord);
+
+    return imageResponse(imageRecord);
+  } catch (error) {
+    // Don't leave junk behind in the temp directory
+    await fs.unlink(file.path).catch(() => {});
+    throw error;
+  }
+}
+
+// Audit an upload. via is how it arrived: single, batch or resumable.
+function auditUpload(req, image, via) {
+  audit(req, 'image.upload', {
+    target: image.id,
+    details: {
+      via,
+      originalName: image.originalName,
+      size: image.size,
+      isPublic: image.isPublic,
+      duplicateOf: image.duplicateOf || null
+    }
+  });
+}
+
+// Upload requests per user are limited (UPLOAD_RATE_LIMIT); the shared API key is counted per IP address
+const limitUploads = rateLimit(uploadLimiter, 'Upload', req => (req.user ? `user:${req.user.username}` : `ip:${req.ip}`));
+
+// Upload image
+app.post('/api/upload', validateApiKey, requirePermission('images:upload'), limitUploads, handleUploadErrors(upload.single('image'), 'image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+
+    const image = await processUpload(req.file, { ...parseUploadOptions(req.body), ownerId: requestOwner(req) });
+    auditUpload(req, image, 'single');
+
+    res.json({
+      success: true,
+      image: image
+    });
+  } catch (error) {
+    if (error instanceof ImageValidationError || error instanceof CollectionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Failed to upload image', message: error.message });
+  }
+});
+
+// Upload several images at once. Each file succeeds or fails on its own.
+app.post('/api/upload/batch', validateApiKey, requirePermission('images:upload'), limitUploads, handleUploadErrors(batchUpload.array('images', config.maxBatchFiles), 'images'), async (req, res) => {
+  const files = (req.files || []).filter(file => !file.tooLarge);
+  const rejected = req.rejectedFiles || [];
+
+  if (files.length === 0 && rejected.length === 0) {
+    return res.status(400).json({ error: 'No image files provided' });
+  }
+
+  const options = { ...parseUploadOptions(req.body), ownerId: requestOwner(req) };
+  const results = rejected.map(file => ({
+    file: file.originalname,
+    success: false,
+    error: file.error
+  }));
+
+  // One at a time: sharp and the disk are the bottleneck on a Pi anyway
+  for (const file of files) {
+    try {
+      const image = await processUpload(file, options);
+      auditUpload(req, image, 'batch');
+      results.push({ file: file.originalname, success: true, image });
+    } catch (error) {
+      if (!(error instanceof ImageValidationError || error instanceof CollectionError)) {
+        console.error(`Batch upload error (${file.originalname}):`, error);
+      }
+      results.push({ file: file.originalname, success: false, error: error.message, status: error.status || 500 });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  res.status(succeeded > 0 ? 200 : 400).json({
+    success: succeeded > 0,
+    count: results.length,
+    succeeded: succeeded,
+    failed: results.length - succeeded,
+    results: results
+  });
+});
+
+// Resumable uploads: POST /api/uploads announces a file, PATCH /api/uploads/:id appends chunks,
+// HEAD /api/uploads/:id reports how far it got, POST /api/uploads/:id/complete stores the image
+
+// Uploads can only be continued by whoever started them
+function uploadOwner(req) {
+  return req.user ? req.user.username : 'api-key';
+}
+
+function sendUploadError(res, error, action) {
+  if (error instanceof ImageValidationError || error instanceof CollectionError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error instanceof UploadError) {
+    if (error.offset !== undefined) {
+      res.set('Upload-Offset', String(error.offset));
+    }
+    return res.status(error.status).json({ error: error.message, offset: error.offset });
+  }
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action.toLowerCase()}`, message: error.message });
+}
+
+// Read a chunk body into a Buffer, whatever its Content-Type
+function readChunk(req, res, next) {
+  express.raw({ type: () => true, limit: config.resumableChunkSize })(req, res, (err) => {
+    if (err) {
+      if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+          error: `Chunk too large. Maximum is ${(config.resumableChunkSize / 1024 / 1024).toFixed(0)}MB`
+        });
+      }
+      return res.status(400).json({ error: err.message || 'Invalid chunk' });
+    }
+    next();
+  });
+}
+
+function uploadStatus(upload) {
+  return {
+    uploadId: upload.id,
+    filename: upload.filename,
+    size: upload.size,
+    offset: upload.offset,
+    complete: upload.complete,
+    chunkSize: config.resumableChunkSize,
+    expiresAt: upload.expiresAt
+  };
+}
+
+// Start a resumable upload
+app.post('/api/uploads', validateApiKey, requirePermission('images:upload'), limitUploads, async (req, res) => {
+  try {
+    const options = parseUploadOptions(req.body);
+    // Fail now rather than after the whole file has been sent
+    uploadCollection(options.collectionId);
+    const upload = await resumable.createUpload({
+      filename: req.body.filename,
+      size: Number(req.body.size),
+      mimeType: req.body.mimeType,
+      options,
+      createdBy: uploadOwner(req)
+    });
+
+    res.status(201)
+      .location(`/api/uploads/${upload.id}`)
+      .set('Upload-Offset', '0')
+      .json({ success: true, ...uploadStatus(upload) });
+  } catch (error) {
+    sendUploadError(res, error, 'Start upload');
+  }
+});
+
+// Current offset of a resumable upload (in headers, tus style)
+app.head('/api/uploads/:id', validateApiKey, requirePermission('images:upload'), async (req, res) => {
+  try {
+    const upload = await resumable.getUpload(req.params.id, uploadOwner(req));
+    res.set({
+      'Upload-Offset': String(upload.offset),
+      'Upload-Length': String(upload.size),
+      'Cache-Control': 'no-store'
+    }).status(200).end();
+  } catch (error) {
+    res.status(error instanceof UploadError ? error.status : 500).end();
+  }
+});
+
+// Current state of a resumable upload
+app.get('/api/uploads/:id', validateApiKey, requirePermission('images:upload'), async (req, res) => {
+  try {
+    const upload = await resumable.getUpload(req.params.id, uploadOwner(req));
+    res.set('Upload-Offset', String(upload.offset)).json(uploadStatus(upload));
+  } catch (error) {
+    sendUploadError(res, error, 'Get upload');
+  }
+});
+
+// Append a chunk. The Upload-Offset header says where in the file the chunk starts.
+app.patch('/api/uploads/:id', validateApiKey, requirePermission('images:upload'), readChunk, async (req, res) => {
+  try {
+    const offsetHeader = req.get('Upload-Offset');
+    if (!offsetHeader || !/^\d+$/.test(offsetHeader)) {
+      return res.status(400).json({ error: 'Upload-Offset header is required' });
+    }
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    const upload = await resumable.appendChunk(req.params.id, uploadOwner(req), Number(offsetHeader), chunk);
+    res.set('Upload-Offset', String(upload.offset)).json(uploadStatus(upload));
+  } catch (error) {
+    sendUploadError(res, error, 'Append chunk');
+  }
+});
+
+// Turn a fully received upload into an image
+app.post('/api/uploads/:id/complete', validateApiKey, requirePermission('images:upload'), async (req, res) => {
+  try {
+    const image = await resumable.finishUpload(req.params.id, uploadOwner(req), upload => processUpload({
+      path: upload.partPath,
+      originalname: upload.filename,
+      mimetype: upload.mimeType,
+      size: upload.size
+    }, { ...upload.options, ownerId: requestOwner(req) }));
+    auditUpload(req, image, 'resumable');
+
+    res.json({
+      success: true,
+      image: image
+    });
+  } catch (error) {
+    sendUploadError(res, error, 'Complete upload');
+  }
+});
+
+// Abandon a resumable upload
+app.delete('/api/uploads/:id', validateApiKey, requirePermission('images:upload'), async (req, res) => {
+  try {
+    await resumable.cancelUpload(req.params.id, uploadOwner(req));
+    res.json({ success: true, message: 'Upload cancelled' });
+  } catch (error) {
+    sendUploadError(res, error, 'Cancel upload');
+  }
+});
+
+// Thumbnail URL for an image (served through the thumbnail preset)
+function thumbnailPath(imageId) {
+  return `/images/${imageId}/p/${config.thumbnailPreset}`;
+}
+
+// Reject arbitrary sizes when only presets are allowed
+function arbitraryTransformsDisabled(res) {
+  return res.status(403).json({
+    error: 'Arbitrary transformations are disabled. Use a preset: /images/:id/p/:preset'
+  });
+}
+
+// Image requests per IP address are limited (IMAGE_RATE_LIMIT), so one client can't keep the Pi busy
+app.use('/images', rateLimit(imageLimiter, 'Image'));
+
+// Serve image (with optional ?w=&h=&fit=&format=&q=&blur=&rotate=&gravity= transformations)
+app.get('/images/:id', async (req, res) => {
+  let options;
+  try {
+    options = parseTransformQuery(req.query);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
+  // Every query transformation counts, ?format= too: converting the full-size original is as much
+  // work as a resize. Presets can set a format instead.
+  if (options && !config.allowArbitraryTransforms) {
+    return arbitraryTransformsDisabled(res);
+  }
+
+  return serveImage(req, res, options);
+});
+
+// Serve image through a named preset
+app.get('/images/:id/p/:preset', async (req, res) => {
+  try {
+    const preset = presets.get(req.params.preset);
+
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    return serveImage(req, res, presetOptions(preset));
+  } catch (error) {
+    console.error('Serve preset error:', error);
+    res.status(500).json({ error: 'Failed to serve image', message: error.message });
+  }
+});
+
+app.get('/images/:id/:width/:height', async (req, res) => {
+  if (!config.allowArbitraryTransforms) {
+    return arbitraryTransformsDisabled(res);
+  }
+
+  let options;
+  try {
+    options = parseSizePath(req.params.width, req.params.height);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
+  return serveImage(req, res, options);
+});
+
+// Helper to get credentials from request headers
+// (img tags that can't send headers should use a signed URL instead)
+function getTokenFromRequest(req) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  const apiKey = req.headers['x-api-key'];
+  
+  return { token, apiKey };
+}
+
+async function serveImage(req, res, options) {
+  try {
+    const imageId = req.params.id;
+    const imageMeta = images.get(imageId);
+
+    if (!imageMeta) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    // Check if image is private - require authentication
+    // If isPublic is undefined (legacy images), treat as private
+    if (imageMeta.isPublic !== true) {
+      // Signed URLs grant access to this image (and optionally only some variants) until they expire
+      const { token: tokenFromReq, apiKey } = getTokenFromRequest(req);
+      
+      if (hasSignature(req.query)) {
+        if (!verifyImageSignature(imageId, describeTransform(options), req.query)) {
+          return res.status(403).json({ error: 'Invalid or expired signed URL' });
+        }
+      } else if (tokenFromReq || apiKey) {
+        const auth = authenticate(req);
+        if (auth.error) {
+          return res.status(auth.status).json({ error: auth.error });
+        }
+        if (auth.user && !auth.user.permissions.includes('images:read')) {
+          return res.status(403).json({ error: 'Forbidden. This API key does not have the images:read permission' });
+        }
+      } else {
+        return res.status(403).json({ error: 'This image is private. Authentication required.' });
+      }
+    }
+    const originalKey = originalStorageKey(imageMeta);
+
+    // Check if original file exists
+    const originalStat = await originals.stat(originalKey);
+    if (!originalStat) {
+      return res.status(404).json({ error: 'Image file not found' });
+    }
+
+    // Pick the output format: an explicit ?format= wins, otherwise negotiate from the Accept header.
+    // Animated GIF originals are always served as uploaded since converting them drops the animation.
+    const sourceFormat = imageMeta.format;
+    let format = options && options.format;
+    if (!format) {
+      if (config.autoFormat && (options || sourceFormat !== 'gif')) {
+        format = negotiateFormat(req.headers['accept'], sourceFormat);
+        res.vary('Accept');
+      } else {
+        format = options ? 'webp' : sourceFormat;
+      }
+    }
+
+    // Validators for conditional requests; answer 304 before doing any work if the client's copy is
+    // current. They are taken off again if the image can't be sent (see clearCacheHeaders).
+    const variant = describeTransform(options);
+    const contentHash = imageMeta.contentHash || await backfillContentHash(imageMeta, originalKey);
+    setCacheHeaders(res, imageMeta, computeETag(imageMeta, contentHash, variant, format));
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // If no transformation or conversion needed, serve original
+    if (!options && format === sourceFormat) {
+      res.setHeader('Content-Type', imageMeta.mimeType);
+      return sendStored(res, originals, originalKey, originalStat);
+    }
+
+    // Check cache for transformed version (the cache key covers the original's content, every option
+    // and the output format)
+    const cacheKey = cacheKeyFor(imageId, contentHash, variant, format);
+    const cachedStat = await variantCache.lookup(cacheKey);
+
+    if (cachedStat) {
+      // Serve from cache
+      res.setHeader('Content-Type', `image/${format}`);
+      return sendStored(res, variantCache, cacheKey, cachedStat);
+    }
+
+    // Generate transformed version. Concurrent requests for the same variant of the same original
+    // share one render, and renders go through a bounded queue so a burst of new sizes can't
+    // overload the Pi.
+    const transformedBuffer = await renderQueue.run(cacheKey, async () => {
+      const input = await originals.input(originalKey);
+      const buffer = await applyTransform(sharp(input), options || {}, format).toBuffer();
+
+      // Save to cache (written atomically, so readers never see a partial file)
+      await variantCache.put(cacheKey, buffer, { contentType: `image/${format}` });
+      return buffer;
+    });
+
+    res.setHeader('Content-Type', `image/${format}`);
+    return res.send(transformedBuffer);
+  } catch (error) {
+    clearCacheHeaders(res);
+    if (error instanceof QueueFullError) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Serve image error:', error);
+    res.status(500).json({ error: 'Failed to serve image', message: error.message });
+  }
+}
+
+// Strong ETag for one rendition of an image. It changes when the original's bytes, the
+// transformation, the output format or the image's visibility change.
+function computeETag(imageMeta, contentHash, variant, format) {
+  const tag = crypto
+    .createHash('sha256')
+    .update(`${contentHash}:${variant}:${format}:${imageMeta.isPublic === true ? 'public' : 'private'}`)
+    .digest('base64url')
+    .slice(0, 32);
+  return `"${tag}"`;
+}
+
+// ETag, Last-Modified and Cache-Control for an image response.
+// Private images are marked private so shared caches (proxies, CDNs) never store them.
+function setCacheHeaders(res, imageMeta, etag) {
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', lastModified(imageMeta).toUTCString());
+  res.setHeader('Cache-Control', imageMeta.isPublic === true
+    ? `public, max-age=${config.cacheMaxAge}`
+    : 'private, no-cache');
+}
+
+// Error responses (a full render queue, a failed render) must not be cached under the image's validators
+function clearCacheHeaders(res) {
+  if (res.headersSent) {
+    return;
+  }
+  res.removeHeader('ETag');
+  res.removeHeader('Last-Modified');
+  res.setHeader('Cache-Control', 'no-store');
+}
+
+// When an image last changed: its original (upload or replacement) or its metadata and visibility
+function lastModified(imageMeta) {
+  const times = [imageMeta.uploadedAt, imageMeta.updatedAt, imageMeta.metadataUpdatedAt]
+    .filter(Boolean)
+    .map(time => Date.parse(time));
+  return new Date(Math.max(...times));
+}
+
+// Images uploaded before content hashes were recorded get one the first time they are served
+async function backfillContentHash(imageMeta, originalKey) {
+  const contentHash = await hashStream(await originals.createReadStream(originalKey));
+  await images.update(imageMeta.id, current => ({ ...current, contentHash }));
+  return contentHash;
+}
+
+// Stream an object from a storage driver (or the variant cache) to the response
+async function sendStored(res, source, key, stat) {
+  const stream = await source.createReadStream(key);
+  res.setHeader('Content-Length', stat.size);
+  stream.on('error', error => {
+    console.error('Stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+// Short-lived signed links so the dashboard can preview private images
+function previewLinks(img) {
+  if (img.isPublic === true) {
+    return {};
+  }
+
+  const { query } = signImageUrl(img.id, { expiresIn: config.signedUrlPreviewTtl });
+  return {
+    signedUrl: `/images/${img.id}?${query}`,
+    signedThumbnail: `${thumbnailPath(img.id)}?${query}`
+  };
+}
+
+// Transformation options for a variant given to the API by name or as a query string
+function variantToOptions(variant) {
+  if (typeof variant !== 'string') {
+    throw new TransformError('Variants must be strings');
+  }
+  if (variant.includes('=')) {
+    const options = parseTransformQuery(Object.fromEntries(new URLSearchParams(variant)));
+    if (!options) {
+      throw new TransformError(`Invalid variant "${variant}"`);
+    }
+    return options;
+  }
+  return parseVariant(variant);
+}
+
+// URL path (plus query) that serves a variant of an image
+function variantPath(imageId, options) {
+  if (!options) {
+    return `/images/${imageId}`;
+  }
+  if (describeTransform(options) === `${options.width}x${options.height}`) {
+    return `/images/${imageId}/${options.width}/${options.height}`;
+  }
+  return `/images/${imageId}?${toQueryString(options)}`;
+}
+
+function withQuery(url, query) {
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+}
+
+// Create a signed, expiring URL for an image
+app.post('/api/images/:id/signed-url', validateToken, requirePermission('images:read'), async (req, res) => {
+  try {
+    const imageId = req.params.id;
+    if (!images.has(imageId)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const expiresIn = req.body.expiresIn === undefined ? config.signedUrlDefaultTtl : Number(req.body.expiresIn);
+    if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > config.signedUrlMaxTtl) {
+      return res.status(400).json({ error: `Invalid expiresIn. Must be 1-${config.signedUrlMaxTtl} seconds` });
+    }
+
+    // Variants may be given as names ("200x200", "800x-cover-avif") or as query strings ("w=800&fit=cover")
+    let signed;
+    try {
+      const variants = parseRequestedVariants(req.body.variants).map(variantToOptions);
+      signed = signImageUrl(imageId, { expiresIn, variants: variants.map(describeTransform) });
+    } catch (error) {
+      if (error instanceof SignedUrlError || error instanceof TransformError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const urls = (signed.variants.length > 0 ? signed.variants : ['original'])
+      .map(variant => withQuery(variantPath(imageId, parseVariant(variant)), signed.query));
+
+    res.json({
+      success: true,
+      url: urls[0],
+      urls,
+      query: signed.query,
+      variants: signed.variants,
+      expiresAt: signed.expiresAt
+    });
+  } catch (error) {
+    console.error('Signed URL error:', error);
+    res.status(500).json({ error: 'Failed to create signed URL', message: error.message });
+  }
+});
+
+// List images, with optional search, filters, sorting and paging (see listing.js)
+app.get('/api/images', validateApiKey, requirePermission('images:read'), async (req, res) => {
+  try {
+    let result;
+    try {
+      result = listImages(images.all(), parseListQuery(req.query));
+    } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Signed preview links are only created for the page being returned
+    const imageList = result.images.map(img => ({
+      ...img,
+      url: `/images/${img.id}`,
+      thumbnail: thumbnailPath(img.id),
+      // Ensure isPublic is boolean (default false for legacy images)
+      isPublic: img.isPublic === true,
+      ...previewLinks(img)
+    }));
+
+    res.json({
+      count: imageList.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      nextOffset: result.nextOffset,
+      images: imageList
+    });
+  } catch (error) {
+    console.error('List images error:', error);
+    res.status(500).json({ error: 'Failed to list images', message: error.message });
+  }
+});
+
+// Images uploaded more than once. Each group lists the images with the same content and how many
+// bytes they take up beyond a single copy (0 once they all share one original).
+app.get('/api/images/duplicates', validateApiKey, requirePermission('images:read'), async (req, res) => {
+  try {
+    const groups = new Map();
+    for (const img of images.all()) {
+      if (!img.contentHash) {
+        continue;
+      }
+      if (!groups.has(img.contentHash)) {
+        groups.set(img.contentHash, []);
+      }
+      groups.get(img.contentHash).push(img);
+    }
+
+    const duplicates = Array.from(groups, ([contentHash, group]) => {
+      const originalKeys = new Set(group.map(originalStorageKey));
+      return {
+        contentHash,
+        count: group.length,
+        storedCopies: originalKeys.size,
+        wastedBytes: (originalKeys.size - 1) * group[0].size,
+        images: group
+          .sort((a, b) => a.uploadedAt.localeCompare(b.uploadedAt))
+          .map(img => ({
+            id: img.id,
+            originalName: img.originalName,
+            uploadedAt: img.uploadedAt,
+            size: img.size,
+            sharesOriginal: Boolean(img.blobKey),
+            url: `/images/${img.id}`
+          }))
+      };
+    })
+      .filter(group => group.count > 1)
+      .sort((a, b) => b.wastedBytes - a.wastedBytes || b.count - a.count);
+
+    res.json({
+      count: duplicates.length,
+      wastedBytes: duplicates.reduce((total, group) => total + group.wastedBytes, 0),
+      duplicates
+    });
+  } catch (error) {
+    console.error('Duplicate report error:', error);
+    res.status(500).json({ error: 'Failed to list duplicates', message: error.message });
+  }
+});
+
+// Get single image info
+app.get('/api/images/:id', validateApiKey, requirePermission('images:read'), async (req, res) => {
+  try {
+    const imageId = req.params.id;
+    const imageMeta = images.get(imageId);
+
+    if (!imageMeta) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.json({
+      ...imageMeta,
+      url: `/images/${imageMeta.id}`,
+      thumbnail: thumbnailPath(imageMeta.id),
+      ...previewLinks(imageMeta)
+    });
+  } catch (error) {
+    console.error('Get image error:', error);
+    res.status(500).json({ error: 'Failed to get image', message: error.message });
+  }
+});
+
+// For routes that change an image: uploaders may only change their own images. A missing image is
+// left to the route, which answers 404.
+function requireImageAccess(req, res, next) {
+  const imageMeta = images.get(req.params.id);
+  if (imageMeta && !canManageImage(req, imageMeta)) {
+    return res.status(403).json({ error: 'Forbidden. You can only change images you uploaded' });
+  }
+  next();
+}
+
+// Update an image's descriptive metadata: visibility, title, alt text, caption, tags and custom fields
+app.patch('/api/images/:id', validateApiKey, requirePermission('images:manage-own'), requireImageAccess, async (req, res) => {
+  try {
+    let imageMeta;
+    let wasPublic;
+    try {
+      const changes = parseMetadataPatch(req.body);
+      imageMeta = await images.update(req.params.id, current => {
+        wasPublic = current.isPublic === true;
+        return applyMetadataPatch(current, changes);
+      });
+    } catch (error) {
+      if (error instanceof MetadataError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    if (!imageMeta) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    if ((imageMeta.isPublic === true) !== wasPublic) {
+      auditVisibility(req, [{ id: imageMeta.id, isPublic: imageMeta.isPublic === true, previous: wasPublic }], 'single');
+    }
+
+    res.json({
+      success: true,
+      image: {
+        ...imageResponse(imageMeta),
+        ...previewLinks(imageMeta)
+      }
+    });
+  } catch (error) {
+    console.error('Update image error:', error);
+    res.status(500).json({ error: 'Failed to update image', message: error.message });
+  }
+});
+
+// Delete an image record and whatever files only it used. Resolves to the deleted record, or null if
+// it didn't exist. Cached variants are left to the caller, so bulk deletes can purge them in one pass.
+async function removeImage(imageId) {
+  // Remove from metadata, working out in the same transaction which originals (current and kept
+  // versions) no other image uses, so a concurrent duplicate upload can't start sharing them
+  const deleted = await transaction(tx => {
+    const imageMeta = tx.get('images', imageId);
+    if (!imageMeta) {
+      return null;
+    }
+    tx.delete('images', imageId);
+    return { imageMeta, unreferenced: unreferencedOriginals(referencedKeys(imageMeta), imageId, null) };
+  });
+
+  if (!deleted) {
+    return null;
+  }
+
+  // Delete the original files nothing refers to any more
+  await deleteOriginals(deleted.unreferenced);
+  return deleted.imageMeta;
+}
+
+// Audit a deleted image. via is the route: single, bulk or collection (deleted with its collection).
+function auditDelete(req, imageMeta, via) {
+  audit(req, 'image.delete', {
+    target: imageMeta.id,
+    details: { via, originalName: imageMeta.originalName, ownerId: imageMeta.ownerId || null }
+  });
+}
+
+// Audit images whose visibility a request changed ({ id, isPublic, previous } each)
+function auditVisibility(req, changes, via) {
+  for (const change of changes) {
+    audit(req, 'image.visibility', {
+      target: change.id,
+      details: { via, isPublic: change.isPublic, previous: change.previous }
+    });
+  }
+}
+
+// Delete image
+app.delete('/api/images/:id', validateApiKey, requirePermission('images:manage-own'), requireImageAccess, async (req, res) => {
+  try {
+    const imageId = req.params.id;
+
+    const deleted = await removeImage(imageId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    auditDelete(req, deleted, 'single');
+
+    // Delete cached versions
+    try {
+      await variantCache.purgeImage(imageId);
+    } catch (error) {
+      console.warn('Could not delete cache files:', error);
+    }
+
+    res.json({ success: true, message: 'Image deleted' });
+  } catch (error) {
+    console.error('Delete image error:', error);
+    res.status(500).json({ error: 'Failed to delete image', message: error.message });
+  }
+});
+
+// Bulk Routes
+
+// Image ids for a bulk request, without duplicates
+function parseBulkIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string')) {
+    throw new CollectionError('ids must be a non-empty array of image ids');
+  }
+  if (ids.length > config.maxBulkImages) {
+    throw new CollectionError(`Too many images. Maximum is ${config.maxBulkImages} per request`);
+  }
+  return Array.from(new Set(ids));
+}
+
+// Apply one action to a selection of images: move (collectionId, null for none),
+// visibility (isPublic) or delete. Reports the outcome per image; images the request may not
+// change are skipped.
+app.post('/api/images/bulk', validateApiKey, requirePermission('images:manage-own'), async (req, res) => {
+  try {
+    const { action } = req.body;
+    let ids;
+    let update;
+    try {
+      ids = parseBulkIds(req.body.ids);
+      if (action === 'move') {
+        const collection = req.body.collectionId ? collections.get(req.body.collectionId) : null;
+        if (req.body.collectionId && !collection) {
+          throw new CollectionError('Collection not found', 404);
+        }
+        update = current => moveToCollection(current, collection);
+      } else if (action === 'visibility') {
+        if (typeof req.body.isPublic !== 'boolean') {
+          throw new CollectionError('isPublic must be true or false');
+        }
+        update = current => ({ ...current, isPublic: req.body.isPublic, metadataUpdatedAt: new Date().toISOString() });
+      } else if (action !== 'delete') {
+        throw new CollectionError('Invalid action. Allowed: move, visibility, delete');
+      }
+    } catch (error) {
+      if (error instanceof CollectionError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const forbidden = ids.filter(id => images.has(id) && !canManageImage(req, images.get(id)));
+    ids = ids.filter(id => !forbidden.includes(id));
+
+    let results;
+    if (action === 'delete') {
+      results = [];
+      for (const id of ids) {
+        try {
+          const deleted = await removeImage(id);
+          if (deleted) {
+            auditDelete(req, deleted, 'bulk');
+          }
+          results.push(deleted ? { id, success: true } : { id, success: false, error: 'Image not found' });
+        } catch (error) {
+          console.error(`Bulk delete error (${id}):`, error);
+          results.push({ id, success: false, error: error.message });
+        }
+      }
+      const deletedIds = new Set(results.filter(result => result.success).map(result => result.id));
+      try {
+        await variantCache.purgeImages(deletedIds);
+      } catch (error) {
+        console.warn('Could not delete cache files:', error);
+      }
+    } else {
+      // Moves and visibility changes are committed together
+      const changed = [];
+      results = await transaction(tx => ids.map(id => {
+        const current = tx.get('images', id);
+        if (!current) {
+          return { id, success: false, error: 'Image not found' };
+        }
+        const next = update(current);
+        tx.put('images', id, next);
+        // A move into a collection with its own visibility changes the image's visibility too
+        const change = visibilityChange(current, next);
+        if (change) {
+          changed.push(change);
+        }
+        return { id, success: true };
+      }));
+      auditVisibility(req, changed, action === 'move' ? 'collection' : 'bulk');
+    }
+    results.push(...forbidden.map(id => ({ id, success: false, error: 'Forbidden. You can only change images you uploaded' })));
+
+    const succeeded = results.filter(result => result.success).length;
+    const status = succeeded > 0 ? 200 : (forbidden.length === results.length ? 403 : 404);
+    res.status(status).json({
+      success: succeeded > 0,
+      action: action,
+      succeeded: succeeded,
+      failed: results.length - succeeded,
+      results: results
+    });
+  } catch (error) {
+    console.error('Bulk action error:', error);
+    res.status(500).json({ error: 'Failed to apply bulk action', message: error.message });
+  }
+});
+
+// File name inside a zip download; repeated names get the image id added
+function archiveEntryName(imageMeta, usedNames) {
+  const extension = imageMeta.extension || '';
+  const base = path.basename(imageMeta.originalName || imageMeta.id, path.extname(imageMeta.originalName || '')) || imageMeta.id;
+  let name = `${base}${extension}`;
+  if (usedNames.has(name.toLowerCase())) {
+    name = `${base}-${imageMeta.id}${extension}`;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+// Download the originals of a selection of images as one zip file
+app.post('/api/images/bulk/download', validateApiKey, requirePermission('images:read'), async (req, res) => {
+  let ids;
+  try {
+    ids = parseBulkIds(req.body.ids);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  const selected = ids.map(id => images.get(id)).filter(Boolean);
+  if (selected.length === 0) {
+    return res.status(404).json({ error: 'None of the images were found' });
+  }
+
+  // Images are already compressed, so they are stored rather than deflated again
+  const archive = archiver('zip', { store: true });
+  archive.on('warning', error => console.warn('Zip warning:', error));
+  archive.on('error', error => {
+    console.error('Zip error:', error);
+    res.destroy(error);
+  });
+
+  // If the client goes away (or the response fails), stop the archive, close the original being
+  // read and stop waiting for its entry to be written
+  let aborted = false;
+  let pendingStream = null;
+  let stopWaiting = null;
+  res.on('close', () => {
+    if (res.writableFinished || aborted) {
+      return;
+    }
+    aborted = true;
+    archive.abort();
+    if (pendingStream) {
+      pendingStream.destroy();
+    }
+    if (stopWaiting) {
+      stopWaiting();
+    }
+  });
+
+  res.attachment(`images-${new Date().toISOString().slice(0, 10)}.zip`);
+  archive.pipe(res);
+
+  try {
+    const usedNames = new Set();
+    for (const imageMeta of selected) {
+      if (aborted) {
+        break;
+      }
+      const key = originalStorageKey(imageMeta);
+      if (!await originals.stat(key)) {
+        console.warn(`Zip download: original of ${imageMeta.id} not found`);
+        continue;
+      }
+      const stream = await originals.createReadStream(key);
+      if (aborted) {
+        stream.destroy();
+        break;
+      }
+      // One file at a time, so a large selection doesn't open every original at once
+      pendingStream = stream;
+      const added = new Promise(resolve => {
+        stopWaiting = resolve;
+        archive.once('entry', resolve);
+      });
+      archive.append(stream, {
+        name: archiveEntryName(imageMeta, usedNames),
+        date: new Date(imageMeta.updatedAt || imageMeta.uploadedAt)
+      });
+      await added;
+      pendingStream = null;
+      stopWaiting = null;
+    }
+    if (!aborted) {
+      await archive.finalize();
+    }
+  } catch (error) {
+    console.error('Bulk download error:', error);
+    res.destroy(error);
+  }
+});
+
+// Collection Routes
+
+function collectionResponse(collection) {
+  return {
+    ...collection,
+    imageCount: images.findBy('collectionId', collection.id).length
+  };
+}
+
+// List collections
+app.get('/api/collections', validateApiKey, requirePermission('images:read'), async (req, res) => {
+  try {
+    const list = collections.all()
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(collectionResponse);
+    const unfiled = images.count() - list.reduce((total, collection) => total + collection.imageCount, 0);
+
+    res.json({
+      count: list.length,
+      unfiledCount: unfiled,
+      collections: list
+    });
+  } catch (error) {
+    console.error('List collections error:', error);
+    res.status(500).json({ error: 'Failed to list collections', message: error.message });
+  }
+});
+
+// Get one collection
+app.get('/api/collections/:id', validateApiKey, requirePermission('images:read'), async (req, res) => {
+  try {
+    const collection = collections.get(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    res.json(collectionResponse(collection));
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({ error: 'Failed to get collection', message: error.message });
+  }
+});
+
+// Create a collection
+app.post('/api/collections', validateApiKey, requirePermission('collections:manage'), async (req, res) => {
+  try {
+    const collection = await transaction(tx => {
+      const created = buildCollection(req.body);
+      if (isNameTaken(collections.all(), created.name)) {
+        throw new CollectionError(`A collection named "${created.name}" already exists`, 409);
+      }
+      tx.put('collections', created.id, created);
+      return created;
+    });
+
+    res.status(201).json({ success: true, collection: collectionResponse(collection) });
+  } catch (error) {
+    if (error instanceof CollectionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create collection error:', error);
+    res.status(500).json({ error: 'Failed to create collection', message: error.message });
+  }
+});
+
+// Update a collection. Setting isPublic to true or false applies it to every image in the collection.
+app.patch('/api/collections/:id', validateApiKey, requirePermission('collections:manage'), async (req, res) => {
+  try {
+    const changed = [];
+    const collection = await transaction(tx => {
+      const existing = tx.get('collections', req.params.id);
+      if (!existing) {
+        return null;
+      }
+      const updated = buildCollection(req.body, existing);
+      if (isNameTaken(collections.all(), updated.name, updated.id)) {
+        throw new CollectionError(`A collection named "${updated.name}" already exists`, 409);
+      }
+      tx.put('collections', updated.id, updated);
+
+      if (req.body.isPublic !== undefined && updated.isPublic !== null) {
+        for (const imageMeta of images.findBy('collectionId', updated.id)) {
+          const next = moveToCollection(imageMeta, updated);
+          tx.put('images', imageMeta.id, next);
+          const change = visibilityChange(imageMeta, next);
+          if (change) {
+            changed.push(change);
+          }
+        }
+      }
+      return updated;
+    });
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    auditVisibility(req, changed, 'collection');
+    res.json({ success: true, collection: collectionResponse(collection) });
+  } catch (error) {
+    if (error instanceof CollectionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update collection error:', error);
+    res.status(500).json({ error: 'Failed to update collection', message: error.message });
+  }
+});
+
+// Delete a collection. Its images are kept (outside any collection) unless deleteImages=true.
+app.delete('/api/collections/:id', validateApiKey, requirePermission('collections:manage'), async (req, res) => {
+  try {
+    const collectionId = req.params.id;
+    const deleteImages = req.query.deleteImages === 'true';
+
+    const memberIds = await transaction(tx => {
+      if (!tx.get('collections', collectionId)) {
+        return null;
+      }
+      tx.delete('collections', collectionId);
+      const members = images.findBy('collectionId', collectionId);
+      if (!deleteImages) {
+        for (const imageMeta of members) {
+          tx.put('images', imageMeta.id, moveToCollection(imageMeta, null));
+        }
+      }
+      return members.map(imageMeta => imageMeta.id);
+    });
+
+    if (!memberIds) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    let deletedImages = 0;
+    if (deleteImages) {
+      for (const imageId of memberIds) {
+        const deleted = await removeImage(imageId);
+        if (deleted) {
+          auditDelete(req, deleted, 'collection');
+          deletedImages++;
+        }
+      }
+      try {
+        await variantCache.purgeImages(new Set(memberIds));
+      } catch (error) {
+        console.warn('Could not delete cache files:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Collection deleted',
+      deletedImages: deletedImages,
+      unfiledImages: deleteImages ? 0 : memberIds.length
+    });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({ error: 'Failed to delete collection', message: error.message });
+  }
+});
+
+// Image Version Routes
+
+// Make `next` (an original described by prepareOriginal plus its blobKey, or a kept version) the
+// current original of an image. chooseNext(current) may return null to skip the change.
+// Resolves to the new record, undefined if chooseNext skipped, or null if the image is gone.
+async function commitReplacement(imageId, chooseNext, options) {
+  const result = await transaction(tx => {
+    const current = tx.get('images', imageId);
+    if (!current) {
+      return null;
+    }
+    const next = chooseNext(current);
+    if (!next) {
+      return { skipped: true };
+    }
+
+    const { record, releasedKeys } = replaceOriginal(current, next, options);
+    tx.put('images', imageId, record);
+    return { record, unreferenced: unreferencedOriginals(releasedKeys, imageId, record) };
+  });
+
+  if (!result) {
+    return null;
+  }
+  if (result.skipped) {
+    return undefined;
+  }
+
+  await deleteOriginals(result.unreferenced);
+  try {
+    await variantCache.purgeImage(imageId);
+  } catch (error) {
+    console.warn('Could not delete cache files:', error);
+  }
+  return result.record;
+}
+
+// Replace an image's original. The id and every URL stay the same; width, height, format and size
+// are updated, cached variants are purged and the ETag changes with the content. The previous
+// original is kept as a version unless keepVersion=false.
+app.put('/api/images/:id', validateApiKey, requirePermission('images:manage-own'), requireImageAccess, handleUploadErrors(upload.single('image'), 'image'), async (req, res) => {
+  const file = req.file;
+  try {
+    const imageId = req.params.id;
+    if (!file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+    if (!images.has(imageId)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const original = await prepareOriginal(file);
+    const options = { keepPrevious: req.body.keepVersion !== 'false' && req.body.keepVersion !== false };
+    const unchanged = current => current.contentHash === original.contentHash;
+
+    // Same bytes as an existing image: point at its original instead of storing another copy
+    let record;
+    if (config.dedupMode !== 'off') {
+      record = await commitReplacement(imageId, current => {
+        const duplicate = images.findBy('contentHash', original.contentHash)[0];
+        if (unchanged(current) || !duplicate) {
+          return null;
+        }
+        return { ...original, blobKey: originalStorageKey(duplicate) };
+      }, options);
+    }
+
+    if (record === undefined) {
+      if (unchanged(images.get(imageId) || {})) {
+        return res.json({ success: true, changed: false, image: imageResponse(images.get(imageId)) });
+      }
+
+      // Store the new bytes under a key of their own: the old original may be kept as a version
+      // or shared with other images
+      const blobKey = `${imageId}-${Date.now().toString(36)}${original.extension}`;
+      await originals.putFile(blobKey, file.path, { contentType: original.mimeType });
+      record = await commitReplacement(imageId, () => ({ ...original, blobKey }), options);
+      if (!record) {
+        // Deleted while we were storing the file
+        await deleteOriginals([blobKey]);
+      }
+    }
+
+    if (!record) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.json({
+      success: true,
+      changed: true,
+      image: imageResponse(record)
+    });
+  } catch (error) {
+    if (error instanceof ImageValidationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Replace image error:', error);
+    res.status(500).json({ error: 'Failed to replace image', message: error.message });
+  } finally {
+    if (file) {
+      // Still there if the upload was rejected, unchanged or shared an existing original
+      await fs.unlink(file.path).catch(() => {});
+    }
+  }
+});
+
+function versionSummary(imageId, version) {
+  return {
+    version: version.version,
+    originalName: version.originalName,
+    mimeType: version.mimeType,
+    size: version.size,
+    width: version.width,
+    height: version.height,
+    format: version.format,
+    uploadedAt: version.uploadedAt,
+    replacedAt: version.replacedAt,
+    url: `/api/images/${imageId}/versions/${version.version}`
+  };
+}
+
+// List the kept versions of an image (newest first)
+app.get('/api/images/:id/versions', validateApiKey, requirePermission('images:read'), async (req, res) => {
+  try {
+    const imageMeta = images.get(req.params.id);
+    if (!imageMeta) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.json({
+      currentVersion: currentVersion(imageMeta),
+      updatedAt: imageMeta.updatedAt || imageMeta.uploadedAt,
+      versions: (imageMeta.versions || []).map(version => versionSummary(imageMeta.id, version))
+    });
+  } catch (error) {
+    console.error('List versions error:', error);
+    res.status(500).json({ error: 'Failed to list versions', message: error.message });
+  }
+});
+
+function findVersion(imageMeta, versionParam) {
+  return (imageMeta.versions || []).find(version => String(version.version) === versionParam);
+}
+
+// Download a kept version's original
+app.get('/api/images/:id/versions/:version', validateApiKey, requirePermission('images:read'), async (req, res) => {
+  try {
+    const imageMeta = images.get(req.params.id);
+    const version = imageMeta && findVersion(imageMeta, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const stat = await originals.stat(version.blobKey);
+    if (!stat) {
+      return res.status(404).json({ error: 'Version file not found' });
+    }
+
+    res.setHeader('Content-Type', version.mimeType);
+    res.attachment(version.originalName || `${imageMeta.id}-v${version.version}${version.extension}`);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    await sendStored(res, originals, version.blobKey, stat);
+  } catch (error) {
+    console.error('Download version error:', error);
+    res.status(500).json({ error: 'Failed to download version', message: error.message });
+  }
+});
+
+// Roll back to a kept version. It becomes the current original (with a new version number) and the
+// original it replaces is kept as a version.
+app.post('/api/images/:id/versions/:version/restore', validateApiKey, requirePermission('images:manage-own'), requireImageAccess, async (req, res) => {
+  try {
+    const imageMeta = images.get(req.params.id);
+    if (!imageMeta) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    if (!findVersion(imageMeta, req.params.version)) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const restoredVersion = Number(req.params.version);
+    const record = await commitReplacement(
+      imageMeta.id,
+      current => findVersion(current, req.params.version) || null,
+      { keepPrevious: true, restoredVersion }
+    );
+
+    if (record === undefined) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    if (!record) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.json({
+      success: true,
+      restoredVersion: restoredVersion,
+      image: imageResponse(record)
+    });
+  } catch (error) {
+    console.error('Restore version error:', error);
+    res.status(500).json({ error: 'Failed to restore version', message: error.message });
+  }
+});
+
+// Cache Routes
+
+// Cache usage and hit statistics
+app.get('/api/cache/stats', validateToken, requirePermission('cache:manage'), (req, res) => {
+  res.json({
+    ...variantCache.stats(),
+    renderQueue: renderQueue.stats()
+  });
+});
+
+// Purge every cached variant
+app.delete('/api/cache', validateToken, requirePermission('cache:manage'), async (req, res) => {
+  try {
+    const removed = await variantCache.purgeAll();
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    res.status(500).json({ error: 'Failed to purge cache', message: error.message });
+  }
+});
+
+// Purge cached variants of one image
+app.delete('/api/cache/images/:id', validateToken, requirePermission('images:manage-own'), requireImageAccess, async (req, res) => {
+  try {
+    const removed = await variantCache.purgeImage(req.params.id);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    res.status(500).json({ error: 'Failed to purge cache', message: error.message });
+  }
+});
+
+// Purge cached variants produced by a preset (as currently defined)
+app.delete('/api/cache/presets/:name', validateToken, requirePermission('cache:manage'), async (req, res) => {
+  try {
+    const preset = presets.get(req.params.name);
+
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    const removed = await variantCache.purgeVariant(describeTransform(presetOptions(preset)));
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    res.status(500).json({ error: 'Failed to purge cache', message: error.message });
+  }
+});
+
+// Purge cached variants of a size or transformation, e.g. "200x200" or "800x-cover-avif"
+app.delete('/api/cache/variants/:variant', validateToken, requirePermission('cache:manage'), async (req, res) => {
+  try {
+    let variant;
+    try {
+      variant = describeTransform(parseVariant(req.params.variant));
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const removed = await variantCache.purgeVariant(variant);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    res.status(500).json({ error: 'Failed to purge cache', message: error.message });
+  }
+});
+
+// Preset Routes
+
+// List presets
+app.get('/api/presets', validateToken, requirePermission('images:read'), async (req, res) => {
+  try {
+    const allPresets = presets.all();
+    res.json({
+      count: allPresets.length,
+      allowArbitraryTransforms: config.allowArbitraryTransforms,
+      presets: allPresets
+    });
+  } catch (error) {
+    console.error('List presets error:', error);
+    res.status(500).json({ error: 'Failed to list presets', message: error.message });
+  }
+});
+
+// Get single preset
+app.get('/api/presets/:name', validateToken, requirePermission('images:read'), async (req, res) => {
+  try {
+    const preset = presets.get(req.params.name);
+
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    res.json(preset);
+  } catch (error) {
+    console.error('Get preset error:', error);
+    res.status(500).json({ error: 'Failed to get preset', message: error.message });
+  }
+});
+
+// Create preset
+app.post('/api/presets', validateToken, requirePermission('presets:manage'), async (req, res) => {
+  try {
+    let preset;
+    try {
+      preset = buildPreset(validatePresetName(req.body.name), req.body);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const created = await transaction(tx => {
+      if (tx.get('presets', preset.name)) {
+        return false;
+      }
+      tx.put('presets', preset.name, preset);
+      return true;
+    });
+
+    if (!created) {
+      return res.status(409).json({ error: 'A preset with this name already exists' });
+    }
+
+    res.status(201).json({ success: true, preset });
+  } catch (error) {
+    console.error('Create preset error:', error);
+    res.status(500).json({ error: 'Failed to create preset', message: error.message });
+  }
+});
+
+// Update preset (replaces its transformation)
+app.put('/api/presets/:name', validateToken, requirePermission('presets:manage'), async (req, res) => {
+  try {
+    const name = req.params.name;
+    let preset;
+    try {
+      preset = await presets.update(name, existing => buildPreset(name, req.body, existing));
+    } catch (error) {
+      if (error instanceof TransformError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    res.json({ success: true, preset });
+  } catch (error) {
+    console.error('Update preset error:', error);
+    res.status(500).json({ error: 'Failed to update preset', message: error.message });
+  }
+});
+
+// Delete preset
+app.delete('/api/presets/:name', validateToken, requirePermission('presets:manage'), async (req, res) => {
+  try {
+    const name = req.params.name;
+    if (isProtectedPreset(name)) {
+      return res.status(400).json({ error: 'This preset is used for thumbnails and cannot be deleted' });
+    }
+
+    if (!await presets.delete(name)) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    res.json({ success: true, message: 'Preset deleted' });
+  } catch (error) {
+    console.error('Delete preset error:', error);
+    res.status(500).json({ error: 'Failed to delete preset', message: error.message });
+  }
+});
+
+// Audit Log Routes
+
+// Audit events, newest first. Filters: action, actor, target, apiKeyId, ip, outcome, from, to;
+// paged with limit and offset.
+app.get('/api/audit', validateToken, requirePermission('audit:read'), async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await queryAudit(parseAuditQuery(req.query));
+    } catch (error) {
+      if (error instanceof AuditQueryError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.json({
+      count: result.events.length,
+      total: result.total,
+      nextOffset: result.nextOffset,
+      events: result.events
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Failed to read the audit log', message: error.message });
+  }
+});
+
+// Start server
 async function start() {
   await initStorage();
+
+  // Delete resumable uploads that were never finished
+  resumable.startCleanupJob();
+  // Forget expired rate-limit and lockout counters
+  startSweepJob();
+  startExpiryJob();
   
   app.listen(config.port, () => {
     console.log(`🚀 CDN Server running on http://localhost:${config.port}`);
     console.log(`📁 Storage: ${config.storagePath}`);
-    console.log(`🔑 API Key: ${config.apiKey}`);
+    if (config.allowLegacyApiKey) {
+      console.log('🔑 Legacy API_KEY accepted (ALLOW_LEGACY_API_KEY=true). Move integrations to per-user API keys');
+    }
   });
 }
 
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
+
+// Login sessions. Logging in creates a session and hands out a short-lived access token (a JWT
+// naming the session) plus a refresh token (<session id>.<secret>). Each refresh replaces the
+// secret, and only its hash is stored. Deleting the session signs it out: its access tokens stop
+// working straight away and it can't be refreshed any more.
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function expiresAtFrom(now) {
+  return new Date(now + config.refreshTokenTtl).toISOString();
+}
+
+// Client details shown in the session list
+function describeClient(req) {
+  return {
+    userAgent: (req.get('User-Agent') || '').slice(0, 200),
+    ip: req.ip
+  };
+}
+
+// A new session for a user; returns the record and its first refresh token
+function createSession(username, req) {
+  const now = Date.now();
+  const secret = newSecret();
+  const record = {
+    id: uuidv4(),
+    username,
+    refreshHash: hashSecret(secret),
+    previousRefreshHash: null,
+    ...describeClient(req),
+    createdAt: new Date(now).toISOString(),
+    refreshedAt: new Date(now).toISOString(),
+    expiresAt: expiresAtFrom(now)
+  };
+  return { record, refreshToken: `${record.id}.${secret}` };
+}
+
+// Split a refresh token into session id and secret; null if it doesn't look like one
+function parseRefreshToken(value) {
+  const match = typeof value === 'string' && /^([0-9a-f-]{36})\.([A-Za-z0-9_-]{43})$/.exec(value);
+  return match ? { id: match[1], secret: match[2] } : null;
+}
+
+// Which refresh token of the session a secret is: 'current', 'previous' (already rotated away, so
+// somebody is replaying an old token) or null
+function matchRefreshSecret(record, secret) {
+  const hash = hashSecret(secret);
+  if (hash === record.refreshHash) {
+    return 'current';
+  }
+  if (record.previousRefreshHash && hash === record.previousRefreshHash) {
+    return 'previous';
+  }
+  return null;
+}
+
+// The session after a refresh: a new secret, and the expiry pushed back
+function rotateSession(record, req) {
+  const now = Date.now();
+  const secret = newSecret();
+  return {
+    record: {
+      ...record,
+      refreshHash: hashSecret(secret),
+      previousRefreshHash: record.refreshHash,
+      ...describeClient(req),
+      refreshedAt: new Date(now).toISOString(),
+      expiresAt: expiresAtFrom(now)
+    },
+    refreshToken: `${record.id}.${secret}`
+  };
+}
+
+function isSessionExpired(record) {
+  return Date.parse(record.expiresAt) <= Date.now();
+}
+
+// What the API shows of a session
+function sessionResponse(record, currentSessionId) {
+  return {
+    id: record.id,
+    userAgent: record.userAgent,
+    ip: record.ip,
+    createdAt: record.createdAt,
+    refreshedAt: record.refreshedAt,
+    expiresAt: record.expiresAt,
+    current: record.id === currentSessionId
+  };
+}
+
+module.exports = {
+  createSession,
+  parseRefreshToken,
+  matchRefreshSecret,
+  rotateSession,
+  isSessionExpired,
+  sessionResponse
+};
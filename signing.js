@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+// Variant names a signed URL can be scoped to: "original" or a transformation
+// name from describeTransform (e.g. "200x200" or "800x-cover-avif")
+const VARIANT_PATTERN = /^[a-z0-9.]+(?:-[a-z0-9.]+)*$/;
+
+// Error raised for signed URL requests the client got wrong (sent back with the given status)
+class SignedUrlError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SignedUrlError';
+    this.status = status;
+  }
+}
+
+// The variants a signed URL request asks for: an array of strings (names or transformation
+// queries), or none
+function parseRequestedVariants(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || !value.every(variant => typeof variant === 'string')) {
+    throw new SignedUrlError('Invalid variants. Must be an array of variant names (e.g. "200x200") or transformation queries (e.g. "w=800&fit=cover")');
+  }
+  return value;
+}
+
+// Normalise a list of variants into the canonical comma-separated form that gets signed
+function normalizeVariants(variants) {
+  if (!variants || variants.length === 0) {
+    return '';
+  }
+
+  const list = Array.isArray(variants) ? variants : String(variants).split(',');
+  const invalid = list.find(variant => !VARIANT_PATTERN.test(variant));
+  if (invalid !== undefined) {
+    throw new SignedUrlError(`Invalid variant "${invalid}". Use "original", WIDTHxHEIGHT or a transformation name`);
+  }
+
+  return Array.from(new Set(list)).sort().join(',');
+}
+
+// HMAC over everything the URL is allowed to grant
+function computeSignature(imageId, expires, variants) {
+  return crypto
+    .createHmac('sha256', config.urlSigningSecret)
+    .update(`${imageId}\n${expires}\n${variants}`)
+    .digest('base64url');
+}
+
+// Create the query parameters for a signed image URL
+function signImageUrl(imageId, { expiresIn = config.signedUrlDefaultTtl, variants } = {}) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const variantList = normalizeVariants(variants);
+
+  const params = new URLSearchParams({ expires: String(expires) });
+  if (variantList) {
+    params.set('variants', variantList);
+  }
+  params.set('sig', computeSignature(imageId, expires, variantList));
+
+  return {
+    query: params.toString(),
+    expiresAt: new Date(expires * 1000).toISOString(),
+    variants: variantList ? variantList.split(',') : []
+  };
+}
+
+// Check signed URL parameters from a request against an image and requested variant. A parameter
+// given more than once (parsed into an array) is never valid.
+function verifyImageSignature(imageId, variant, query) {
+  const { expires, sig } = query;
+  const variants = query.variants === undefined ? '' : query.variants;
+
+  if (typeof expires !== 'string' || typeof sig !== 'string' || typeof variants !== 'string') {
+    return false;
+  }
+  if (!/^\d+$/.test(expires)) {
+    return false;
+  }
+
+  if (Number(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(imageId, expires, variants));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return false;
+  }
+
+  return variants === '' || variants.split(',').includes(variant);
+}
+
+// Whether a request carries signed URL parameters at all
+function hasSignature(query) {
+  return Boolean(query.sig);
+}
+
+module.exports = {
+  SignedUrlError,
+  parseRequestedVariants,
+  normalizeVariants,
+  signImageUrl,
+  verifyImageSignature,
+  hasSignature
+};
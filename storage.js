@@ -1,43 +1,365 @@
 const fs = require('fs').promises;
+const path = require('path');
 const config = require('./config');
 
-// Load users from JSON file
-async function loadUsers() {
+// Embedded database for metadata, users, sessions, API keys, presets and collections.
+//
+// Only one server process may use a database file: records are cached in the process's memory and
+// nothing coordinates appends or compaction between processes.
+//
+// All records are kept in memory, so lookups by id are a Map lookup, and every change is appended to
+// a single log file (config.databasePath) as one JSON line per transaction. Writes go through one
+// queue, so concurrent requests can't overwrite each other, and a crash mid-write loses at most the
+// transaction that was being written (a write that fails without a crash is cut back off the end of
+// the log). When the log grows, it is compacted into a snapshot that is
+// written to a temporary file and renamed into place.
+
+const COLLECTIONS = {
+  images: { legacyPath: () => config.metadataPath, legacyKey: 'images', indexes: ['contentHash', 'collectionId', 'ownerId'] },
+  users: { legacyPath: () => config.usersPath, legacyKey: null, indexes: [] },
+  presets: { legacyPath: () => config.presetsPath, legacyKey: 'presets', indexes: [] },
+  collections: { legacyPath: null, legacyKey: null, indexes: [] },
+  apiKeys: { legacyPath: null, legacyKey: null, indexes: ['ownerId'] },
+  sessions: { legacyPath: null, legacyKey: null, indexes: ['username'] }
+};
+
+const data = new Map(Object.keys(COLLECTIONS).map(name => [name, new Map()]));
+const indexes = new Map(Object.keys(COLLECTIONS).map(name => [
+  name,
+  new Map(COLLECTIONS[name].indexes.map(field => [field, new Map()]))
+]));
+
+let logHandle = null;
+let logEntries = 0;
+let logSize = 0; // Length of the log up to the end of the last committed transaction
+let logTorn = false; // A failed append left bytes past logSize that still have to be cut off
+let compactAfter = 0; // After a failed compaction, wait for this many log entries before trying again
+let writeQueue = Promise.resolve();
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function getCollection(name) {
+  const records = data.get(name);
+  if (!records) {
+    throw new Error(`Unknown collection "${name}"`);
+  }
+  return records;
+}
+
+function indexRecord(name, key, record, add) {
+  for (const [field, index] of indexes.get(name)) {
+    const value = record && record[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (add) {
+      if (!index.has(value)) index.set(value, new Set());
+      index.get(value).add(key);
+    } else if (index.has(value)) {
+      index.get(value).delete(key);
+      if (index.get(value).size === 0) index.delete(value);
+    }
+  }
+}
+
+// Apply committed operations to the in-memory collections and indexes
+function applyOps(ops) {
+  for (const { c: name, op, key, value } of ops) {
+    const records = getCollection(name);
+    indexRecord(name, key, records.get(key), false);
+    if (op === 'put') {
+      records.set(key, value);
+      indexRecord(name, key, value, true);
+    } else {
+      records.delete(key);
+    }
+  }
+}
+
+// Write every record into a fresh log and atomically swap it in
+async function writeSnapshot() {
+  const tempPath = `${config.databasePath}.tmp`;
   try {
-    const data = await fs.readFile(config.usersPath, 'utf8');
-    return JSON.parse(data);
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      for (const [name, records] of data) {
+        for (const [key, value] of records) {
+          await handle.write(JSON.stringify({ ops: [{ c: name, op: 'put', key, value }] }) + '\n');
+        }
+      }
+      await handle.datasync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, config.databasePath);
   } catch (error) {
-    // If file doesn't exist or is invalid, return empty structure
-    return {};
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
   }
+  logEntries = Array.from(data.values()).reduce((total, records) => total + records.size, 0);
 }
 
-// Save users to JSON file
-async function saveUsers(users) {
-  await fs.writeFile(config.usersPath, JSON.stringify(users, null, 2), 'utf8');
+async function openLog() {
+  logHandle = await fs.open(config.databasePath, 'a');
+  logSize = (await logHandle.stat()).size;
+  logTorn = false;
 }
 
-// Load metadata from JSON file
-async function loadMetadata() {
+// Rewrite the log as a snapshot. The log is reopened even if that fails, so later transactions
+// keep appending to the old log.
+async function compact() {
+  await logHandle.close();
   try {
-    const data = await fs.readFile(config.metadataPath, 'utf8');
-    return JSON.parse(data);
+    await writeSnapshot();
+  } finally {
+    await openLog();
+  }
+}
+
+// Cut the log back to the last committed transaction. If that fails too, the next commit tries
+// again before appending, so a later transaction never lands after a torn line.
+async function truncateLog() {
+  try {
+    await logHandle.truncate(logSize);
+    logTorn = false;
   } catch (error) {
-    // If file doesn't exist or is invalid, return empty structure
-    return { images: {} };
+    logTorn = true;
+    throw error;
   }
 }
 
-// Save metadata to JSON file
-async function saveMetadata(metadata) {
-  await fs.writeFile(config.metadataPath, JSON.stringify(metadata, null, 2), 'utf8');
+async function commit(ops) {
+  if (logTorn) {
+    await truncateLog();
+  }
+
+  const line = JSON.stringify({ at: new Date().toISOString(), ops }) + '\n';
+  try {
+    await logHandle.write(line);
+    await logHandle.datasync();
+  } catch (error) {
+    // Part of the line may have reached the file; drop it so the log stays readable
+    await truncateLog().catch(truncateError => {
+      console.error('Database log truncate error:', truncateError);
+    });
+    throw error;
+  }
+  logSize += Buffer.byteLength(line);
+  applyOps(ops);
+  logEntries++;
+
+  // The transaction is committed by now, so a failed compaction is only logged
+  const recordCount = Array.from(data.values()).reduce((total, records) => total + records.size, 0);
+  if (logEntries > config.databaseCompactThreshold && logEntries > recordCount * 2 && logEntries > compactAfter) {
+    try {
+      await compact();
+    } catch (error) {
+      console.error('Database compaction error:', error);
+      compactAfter = logEntries + config.databaseCompactThreshold;
+    }
+  }
 }
 
-module.exports = {
-  loadUsers,
-  saveUsers,
-  loadMetadata,
-  saveMetadata
-};
+// Run fn with a transaction handle. Reads see the transaction's own writes; all writes are
+// committed together when fn resolves, or not at all if it throws. Transactions run one at a time.
+function transaction(fn) {
+  const run = writeQueue.then(async () => {
+    const staged = new Map();
+    const ops = [];
+    const stagedKey = (name, key) => `${name}\u0000${key}`;
 
+    const tx = {
+      get(name, key) {
+        const id = stagedKey(name, key);
+        if (staged.has(id)) {
+          return clone(staged.get(id));
+        }
+        return clone(getCollection(name).get(key));
+      },
+      put(name, key, value) {
+        getCollection(name);
+        const stored = clone(value);
+        staged.set(stagedKey(name, key), stored);
+        ops.push({ c: name, op: 'put', key, value: stored });
+      },
+      delete(name, key) {
+        getCollection(name);
+        staged.set(stagedKey(name, key), undefined);
+        ops.push({ c: name, op: 'del', key });
+      }
+    };
 
+    const result = await fn(tx);
+    if (ops.length > 0) {
+      await commit(ops);
+    }
+    return result;
+  });
+
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// Per-collection accessors used by the rest of the app
+function collection(name) {
+  return {
+    get(key) {
+      return clone(getCollection(name).get(key));
+    },
+    has(key) {
+      return getCollection(name).has(key);
+    },
+    all() {
+      return Array.from(getCollection(name).values(), clone);
+    },
+    count() {
+      return getCollection(name).size;
+    },
+    // Records whose indexed field equals value
+    findBy(field, value) {
+      const index = indexes.get(name).get(field);
+      if (!index) {
+        throw new Error(`Collection "${name}" has no index on "${field}"`);
+      }
+      return Array.from(index.get(value) || [], key => clone(getCollection(name).get(key)));
+    },
+    put(key, value) {
+      return transaction(tx => tx.put(name, key, value));
+    },
+    // Read-modify-write a single record. fn receives a copy of the current record and returns the
+    // new one; resolves to the new record, or null if the record doesn't exist.
+    update(key, fn) {
+      return transaction(async tx => {
+        const current = tx.get(name, key);
+        if (current === undefined) {
+          return null;
+        }
+        const next = await fn(current);
+        tx.put(name, key, next);
+        return clone(next);
+      });
+    },
+    // Delete a record; resolves to the deleted record, or null if it didn't exist
+    delete(key) {
+      return transaction(tx => {
+        const current = tx.get(name, key);
+        if (current === undefined) {
+          return null;
+        }
+        tx.delete(name, key);
+        return current;
+      });
+    }
+  };
+}
+
+// Load the JSON files used before the database existed into memory
+async function loadLegacyFiles() {
+  const migrated = [];
+
+  for (const [name, { legacyPath, legacyKey }] of Object.entries(COLLECTIONS)) {
+    if (!legacyPath) {
+      continue;
+    }
+    const filePath = legacyPath();
+    let legacy;
+    try {
+      legacy = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw new Error(`Could not migrate ${filePath}: ${error.message}`);
+    }
+
+    const records = (legacyKey ? legacy[legacyKey] : legacy) || {};
+    applyOps(Object.entries(records).map(([key, value]) => ({ c: name, op: 'put', key, value })));
+    migrated.push({ filePath, count: Object.keys(records).length });
+  }
+
+  return migrated;
+}
+
+// Open the database, replaying the log (and migrating the old JSON files on first run)
+async function openDatabase() {
+  let contents = null;
+  try {
+    contents = await fs.readFile(config.databasePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  if (contents === null) {
+    // The database file only appears once the snapshot holding the migrated records is renamed into
+    // place, so a crash during migration just means it runs again on the next start
+    const migrated = await loadLegacyFiles();
+    await writeSnapshot();
+    await openLog();
+
+    // Keep the old files around as a backup, but out of the way so they aren't imported again
+    for (const { filePath, count } of migrated) {
+      await fs.rename(filePath, `${filePath}.migrated`);
+      console.log(`📦 Migrated ${count} records from ${filePath}`);
+    }
+    return;
+  }
+
+  const lines = contents.split('\n');
+  let tornWrite = false;
+  lines.forEach((line, lineIndex) => {
+    if (!line) {
+      return;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // Only the last line can be incomplete (the process died while appending it)
+      if (lineIndex === lines.length - 1) {
+        tornWrite = true;
+        return;
+      }
+      throw new Error(`Database log ${config.databasePath} is corrupt at line ${lineIndex + 1}`);
+    }
+    applyOps(entry.ops);
+    logEntries++;
+  });
+
+  if (tornWrite) {
+    console.warn('⚠️  Discarded an incomplete transaction at the end of the database log');
+    await writeSnapshot();
+  }
+  await openLog();
+}
+
+// Wait for pending writes and close the log
+async function closeDatabase() {
+  await writeQueue;
+  if (logHandle) {
+    await logHandle.close();
+    logHandle = null;
+  }
+}
+
+const images = collection('images');
+const users = collection('users');
+const presets = collection('presets');
+const collections = collection('collections');
+const apiKeys = collection('apiKeys');
+const sessions = collection('sessions');
+
+module.exports = {
+  openDatabase,
+  closeDatabase,
+  transaction,
+  images,
+  users,
+  presets,
+  collections,
+  apiKeys,
+  sessions
+};
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { cacheKeyFor, parseCacheKey, createVariantCache } = require('../cache');
+const { createLocalDriver } = require('../drivers/local');
+
+const OLD_HASH = 'a'.repeat(64);
+const NEW_HASH = 'b'.repeat(64);
+
+test('a replaced original gets different cache keys for the same variant', () => {
+  assert.notStrictEqual(
+    cacheKeyFor('img1', OLD_HASH, '200x200', 'webp'),
+    cacheKeyFor('img1', NEW_HASH, '200x200', 'webp')
+  );
+});
+
+test('cache keys parse back, including keys written without a content hash', () => {
+  assert.deepStrictEqual(parseCacheKey(cacheKeyFor('img1', OLD_HASH, '800x-cover-blur1.5', 'avif')), {
+    imageId: 'img1',
+    contentHash: OLD_HASH.slice(0, 16),
+    variant: '800x-cover-blur1.5',
+    format: 'avif'
+  });
+  assert.deepStrictEqual(parseCacheKey('img1_200x200.webp'), {
+    imageId: 'img1',
+    contentHash: null,
+    variant: '200x200',
+    format: 'webp'
+  });
+});
+
+test('purging an image removes its variants for every original', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cdn-cache-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const cache = createVariantCache(createLocalDriver(dir));
+  await cache.init();
+
+  await cache.put('img1_200x200.webp', Buffer.from('legacy'));
+  await cache.put(cacheKeyFor('img1', OLD_HASH, '200x200', 'webp'), Buffer.from('old'));
+  await cache.put(cacheKeyFor('img1', NEW_HASH, '200x200', 'webp'), Buffer.from('new'));
+  await cache.put(cacheKeyFor('img2', OLD_HASH, '200x200', 'webp'), Buffer.from('other'));
+
+  assert.strictEqual(await cache.purgeImage('img1'), 3);
+  assert.strictEqual(await cache.purgeVariant('200x200'), 1);
+  assert.deepStrictEqual(await fs.readdir(dir), []);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCollection, moveToCollection, visibilityChange } = require('../collections');
+
+function image(id, isPublic, collectionId = null) {
+  return { id, isPublic, collectionId, uploadedAt: '2024-01-01T00:00:00.000Z' };
+}
+
+// Apply an update to each image the way the routes do, and collect what would be audited
+function applyAndCollect(imageList, update) {
+  return imageList
+    .map(imageMeta => visibilityChange(imageMeta, update(imageMeta)))
+    .filter(Boolean);
+}
+
+test('moving images into a collection reports the images whose visibility it changed', () => {
+  const publicCollection = buildCollection({ name: 'Storefront', isPublic: true });
+  const selection = [image('a', false), image('b', true), image('c', undefined)];
+
+  const changed = applyAndCollect(selection, current => moveToCollection(current, publicCollection));
+
+  assert.deepStrictEqual(changed, [
+    { id: 'a', isPublic: true, previous: false },
+    { id: 'c', isPublic: true, previous: false }
+  ]);
+});
+
+test('moving images into a collection that leaves visibility alone reports no changes', () => {
+  const mixed = buildCollection({ name: 'Drafts', isPublic: null });
+  const selection = [image('a', false), image('b', true)];
+
+  assert.deepStrictEqual(applyAndCollect(selection, current => moveToCollection(current, mixed)), []);
+  assert.deepStrictEqual(applyAndCollect(selection, current => moveToCollection(current, null)), []);
+});
+
+test('changing a collection\'s isPublic reports the member images it changed', () => {
+  const existing = buildCollection({ name: 'Lookbook', isPublic: null });
+  const members = [image('a', true, existing.id), image('b', false, existing.id)];
+
+  const updated = buildCollection({ isPublic: false }, existing);
+  const changed = applyAndCollect(members, current => moveToCollection(current, updated));
+
+  assert.deepStrictEqual(changed, [{ id: 'a', isPublic: false, previous: true }]);
+});
+
+test('a visibility change moves metadataUpdatedAt, other moves do not', () => {
+  const publicCollection = buildCollection({ name: 'Storefront', isPublic: true });
+
+  assert.ok(moveToCollection(image('a', false), publicCollection).metadataUpdatedAt);
+  assert.strictEqual(moveToCollection(image('b', true), publicCollection).metadataUpdatedAt, undefined);
+});
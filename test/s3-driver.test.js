@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createS3Driver } = require('../drivers/s3');
+
+const BUCKET = 'cdn-test';
+const PAGE_SIZE = 2; // Small, so list() has to follow continuation tokens
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function sendXml(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?>\n${body}`);
+}
+
+function sendNoSuchKey(res, key) {
+  sendXml(res, 404, `<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message><Key>${escapeXml(key)}</Key></Error>`);
+}
+
+function listObjects(res, objects, url) {
+  const prefix = url.searchParams.get('prefix') || '';
+  const start = Number(url.searchParams.get('continuation-token') || 0);
+  const keys = Array.from(objects.keys()).filter(key => key.startsWith(prefix)).sort();
+  const page = keys.slice(start, start + PAGE_SIZE);
+  const truncated = start + PAGE_SIZE < keys.length;
+
+  const contents = page.map(key => {
+    const object = objects.get(key);
+    return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified>` +
+      `<ETag>"${object.body.length}"</ETag><Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+  }).join('');
+  sendXml(res, 200, '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+    `<Name>${BUCKET}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>` +
+    `<MaxKeys>${PAGE_SIZE}</MaxKeys><IsTruncated>${truncated}</IsTruncated>` +
+    (truncated ? `<NextContinuationToken>${start + PAGE_SIZE}</NextContinuationToken>` : '') +
+    `${contents}</ListBucketResult>`);
+}
+
+// A small in-memory S3-compatible server (path-style requests, no signature checks) covering the
+// operations the driver uses: PutObject, GetObject, HeadObject, DeleteObject and ListObjectsV2
+function startS3Stub() {
+  const objects = new Map();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const [, bucket, ...rest] = url.pathname.split('/');
+      const key = decodeURIComponent(rest.join('/'));
+      if (bucket !== BUCKET) {
+        return sendXml(res, 404, '<Error><Code>NoSuchBucket</Code><Message>The specified bucket does not exist</Message></Error>');
+      }
+
+      if (!key && req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+        return listObjects(res, objects, url);
+      }
+
+      const object = objects.get(key);
+      switch (req.method) {
+        case 'PUT':
+          objects.set(key, {
+            body: Buffer.concat(chunks),
+            contentType: req.headers['content-type'],
+            lastModified: new Date(Math.floor(Date.now() / 1000) * 1000)
+          });
+          res.writeHead(200, { ETag: '"stub"' });
+          return res.end();
+        case 'GET':
+        case 'HEAD':
+          if (!object) {
+            if (req.method === 'HEAD') {
+              res.writeHead(404);
+              return res.end();
+            }
+            return sendNoSuchKey(res, key);
+          }
+          res.writeHead(200, {
+            'Content-Type': object.contentType || 'application/octet-stream',
+            'Content-Length': object.body.length,
+            'Last-Modified': object.lastModified.toUTCString(),
+            ETag: '"stub"'
+          });
+          return res.end(req.method === 'GET' ? object.body : undefined);
+        case 'DELETE':
+          objects.delete(key);
+          res.writeHead(204);
+          return res.end();
+        default:
+          res.writeHead(405);
+          return res.end();
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, objects, endpoint: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+function createDriver(endpoint, prefix) {
+  return createS3Driver({
+    endpoint,
+    region: 'us-east-1',
+    bucket: BUCKET,
+    accessKeyId: 'test',
+    secretAccessKey: 'test',
+    forcePathStyle: true,
+    prefix
+  });
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+test('s3 driver', async t => {
+  const { server, objects, endpoint } = await startS3Stub();
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const originals = createDriver(endpoint, 'cdn/originals/');
+  const cache = createDriver(endpoint, 'cdn/cache/');
+  await originals.init();
+
+  await t.test('put stores the object under the driver prefix', async () => {
+    await originals.put('a1.png', Buffer.from('first image'), { contentType: 'image/png' });
+    const stored = objects.get('cdn/originals/a1.png');
+    assert.ok(stored);
+    assert.strictEqual(stored.body.toString(), 'first image');
+    assert.strictEqual(stored.contentType, 'image/png');
+  });
+
+  await t.test('get and stat return the object, or null when it is missing', async () => {
+    assert.deepStrictEqual(await originals.get('a1.png'), Buffer.from('first image'));
+    const stat = await originals.stat('a1.png');
+    assert.strictEqual(stat.size, 11);
+    assert.ok(stat.lastModified instanceof Date);
+
+    assert.strictEqual(await originals.get('missing.png'), null);
+    assert.strictEqual(await originals.stat('missing.png'), null);
+    assert.strictEqual(await cache.get('a1.png'), null);
+  });
+
+  await t.test('putFile uploads a local file and removes it', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cdn-s3-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'upload');
+    await fs.writeFile(filePath, 'uploaded from disk');
+
+    await originals.putFile('a2.jpg', filePath, { contentType: 'image/jpeg' });
+    assert.strictEqual(objects.get('cdn/originals/a2.jpg').body.toString(), 'uploaded from disk');
+    await assert.rejects(fs.stat(filePath), { code: 'ENOENT' });
+  });
+
+  await t.test('createReadStream streams the object', async () => {
+    const stream = await originals.createReadStream('a2.jpg');
+    assert.strictEqual((await readAll(stream)).toString(), 'uploaded from disk');
+  });
+
+  await t.test('list returns keys under the prefix, across pages', async () => {
+    await originals.put('a3.webp', Buffer.from('3'));
+    await originals.put('b1.png', Buffer.from('4'));
+    await cache.put('a1.png/200x200.webp', Buffer.from('variant'));
+
+    const all = await originals.list();
+    assert.deepStrictEqual(all.map(entry => entry.key), ['a1.png', 'a2.jpg', 'a3.webp', 'b1.png']);
+    assert.strictEqual(all[0].size, 11);
+    assert.ok(all[0].lastModified instanceof Date);
+
+    const filtered = await originals.list('a');
+    assert.deepStrictEqual(filtered.map(entry => entry.key), ['a1.png', 'a2.jpg', 'a3.webp']);
+
+    const variants = await cache.list('a1.png/');
+    assert.deepStrictEqual(variants.map(entry => entry.key), ['a1.png/200x200.webp']);
+  });
+
+  await t.test('delete removes the object', async () => {
+    assert.strictEqual(await originals.delete('a1.png'), true);
+    assert.strictEqual(objects.has('cdn/originals/a1.png'), false);
+    assert.strictEqual(await originals.get('a1.png'), null);
+    // Deleting a missing object succeeds, as it does on S3
+    assert.strictEqual(await originals.delete('a1.png'), true);
+  });
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SignedUrlError, parseRequestedVariants, signImageUrl, verifyImageSignature } = require('../signing');
+
+test('requested variants must be an array of strings', () => {
+  assert.deepStrictEqual(parseRequestedVariants(undefined), []);
+  assert.deepStrictEqual(parseRequestedVariants(['200x200', 'w=800&fit=cover']), ['200x200', 'w=800&fit=cover']);
+
+  for (const invalid of ['200x200', { 0: '200x200' }, [200], ['200x200', null], 42]) {
+    assert.throws(() => parseRequestedVariants(invalid), error => {
+      assert.ok(error instanceof SignedUrlError);
+      assert.strictEqual(error.status, 400);
+      assert.match(error.message, /^Invalid variants/);
+      return true;
+    });
+  }
+});
+
+test('an invalid variant name is a SignedUrlError', () => {
+  assert.throws(() => signImageUrl('img1', { variants: ['200X200'] }), SignedUrlError);
+});
+
+test('signed URLs only verify for their image, variants and lifetime', () => {
+  const { query } = signImageUrl('img1', { variants: ['200x200'] });
+  const params = Object.fromEntries(new URLSearchParams(query));
+
+  assert.strictEqual(verifyImageSignature('img1', '200x200', params), true);
+  assert.strictEqual(verifyImageSignature('img1', 'original', params), false);
+  assert.strictEqual(verifyImageSignature('img2', '200x200', params), false);
+
+  const expired = Object.fromEntries(new URLSearchParams(signImageUrl('img1', { expiresIn: -1 }).query));
+  assert.strictEqual(verifyImageSignature('img1', 'original', expired), false);
+});
+
+test('parameters given more than once are rejected rather than throwing', () => {
+  const params = Object.fromEntries(new URLSearchParams(signImageUrl('img1', { variants: ['200x200'] }).query));
+
+  assert.strictEqual(verifyImageSignature('img1', '200x200', { ...params, variants: ['200x200', 'original'] }), false);
+  assert.strictEqual(verifyImageSignature('img1', '200x200', { ...params, sig: [params.sig, params.sig] }), false);
+  assert.strictEqual(verifyImageSignature('img1', '200x200', { ...params, expires: [params.expires] }), false);
+});
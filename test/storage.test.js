@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { originalStorageKey } = require('../versions');
+
+// Point the database (and the legacy files it would migrate) at a fresh directory and load a fresh
+// copy of the storage module, as a restart of the server would
+async function useTempDatabase(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cdn-storage-'));
+  const saved = { ...config };
+  Object.assign(config, {
+    databasePath: path.join(dir, 'cdn.db'),
+    metadataPath: path.join(dir, 'metadata.json'),
+    presetsPath: path.join(dir, 'presets.json'),
+    usersPath: path.join(dir, 'users.json')
+  });
+  t.after(async () => {
+    Object.assign(config, saved);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+async function openFreshStorage() {
+  delete require.cache[require.resolve('../storage')];
+  const storage = require('../storage');
+  await storage.openDatabase();
+  return storage;
+}
+
+// The records processUpload writes with DEDUP_MODE=share: a duplicate is found by content hash
+// inside a transaction and gets a record pointing at the stored original (blobKey); new content is
+// moved into storage first and its record is put afterwards, outside the transaction
+async function recordUpload(storage, id, contentHash) {
+  const imageRecord = { id, contentHash, extension: '.png', isPublic: false, ownerId: null };
+  const duplicate = await storage.transaction(tx => {
+    const existing = storage.images.findBy('contentHash', contentHash)[0];
+    if (existing) {
+      tx.put('images', id, { ...imageRecord, blobKey: originalStorageKey(existing) });
+    }
+    return existing;
+  });
+
+  if (!duplicate) {
+    await new Promise(resolve => setImmediate(resolve)); // Moving the file into storage
+    await storage.images.put(id, imageRecord);
+  }
+}
+
+test('concurrent uploads are all committed and survive a restart', async t => {
+  await useTempDatabase(t);
+  let storage = await openFreshStorage();
+
+  // 60 uploads at once, three of each file
+  const uploads = Array.from({ length: 60 }, (_, index) => ({
+    id: `image-${index}`,
+    contentHash: `hash-${Math.floor(index / 3)}`
+  }));
+  await Promise.all(uploads.map(({ id, contentHash }) => recordUpload(storage, id, contentHash)));
+
+  const check = () => {
+    assert.strictEqual(storage.images.count(), 60);
+    for (let hash = 0; hash < 20; hash++) {
+      const records = storage.images.findBy('contentHash', `hash-${hash}`);
+      assert.strictEqual(records.length, 3);
+      // Uploads of the same new file that race each other may each store a copy, but every
+      // shared record must point at an original that is stored
+      const stored = new Set(records.filter(record => !record.blobKey).map(originalStorageKey));
+      assert.ok(stored.size > 0, `hash-${hash} has a stored original`);
+      for (const record of records) {
+        assert.ok(stored.has(originalStorageKey(record)), `${record.id} points at a stored original`);
+      }
+    }
+  };
+  check();
+
+  await storage.closeDatabase();
+  storage = await openFreshStorage();
+  check();
+  await storage.closeDatabase();
+});
+
+test('concurrent updates to one record are not lost', async t => {
+  await useTempDatabase(t);
+  const storage = await openFreshStorage();
+
+  await storage.users.put('alice', { username: 'alice', logins: 0 });
+  await Promise.all(Array.from({ length: 25 }, () => storage.users.update('alice', async user => {
+    await new Promise(resolve => setImmediate(resolve));
+    return { ...user, logins: user.logins + 1 };
+  })));
+
+  assert.strictEqual(storage.users.get('alice').logins, 25);
+  await storage.closeDatabase();
+});
+
+test('a failed append is cut off the log so it still opens', async t => {
+  await useTempDatabase(t);
+  let storage = await openFreshStorage();
+  await storage.images.put('before', { id: 'before' });
+
+  // Let the line reach the file, then fail the sync, as a full or failing disk would
+  const handle = await fs.open(config.databasePath, 'r');
+  const FileHandle = Object.getPrototypeOf(handle);
+  await handle.close();
+  const datasync = FileHandle.datasync;
+  FileHandle.datasync = async function () {
+    FileHandle.datasync = datasync;
+    throw Object.assign(new Error('EIO: i/o error, fdatasync'), { code: 'EIO' });
+  };
+  t.after(() => {
+    FileHandle.datasync = datasync;
+  });
+
+  await assert.rejects(storage.images.put('failed', { id: 'failed' }), { code: 'EIO' });
+  assert.strictEqual(storage.images.has('failed'), false);
+  await storage.images.put('after', { id: 'after' });
+  await storage.closeDatabase();
+
+  storage = await openFreshStorage();
+  assert.deepStrictEqual(storage.images.all().map(image => image.id).sort(), ['after', 'before']);
+  await storage.closeDatabase();
+});
+
+test('a failed compaction does not fail the transaction that triggered it', async t => {
+  await useTempDatabase(t);
+  const saved = config.databaseCompactThreshold;
+  config.databaseCompactThreshold = 3;
+  t.after(() => {
+    config.databaseCompactThreshold = saved;
+  });
+  let storage = await openFreshStorage();
+
+  // Swapping the snapshot into place fails, as it would on a full disk
+  const rename = fs.rename;
+  fs.rename = async () => {
+    fs.rename = rename;
+    throw Object.assign(new Error('ENOSPC: no space left on device, rename'), { code: 'ENOSPC' });
+  };
+  t.after(() => {
+    fs.rename = rename;
+  });
+
+  await storage.users.put('alice', { username: 'alice', logins: 0 });
+  for (let login = 1; login <= 4; login++) {
+    await storage.users.update('alice', user => ({ ...user, logins: login }));
+  }
+  assert.strictEqual(fs.rename, rename, 'compaction was attempted');
+  await storage.users.update('alice', user => ({ ...user, logins: 5 }));
+  await storage.closeDatabase();
+
+  storage = await openFreshStorage();
+  assert.strictEqual(storage.users.get('alice').logins, 5);
+  await storage.closeDatabase();
+});
@@ -0,0 +1,246 @@
+const config = require('./config');
+
+const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+const GRAVITIES = [
+  'center', 'north', 'northeast', 'east', 'southeast',
+  'south', 'southwest', 'west', 'northwest', 'entropy', 'attention'
+];
+const DEFAULT_FIT = 'inside';
+
+// Error raised for transformation parameters the client got wrong (sent back as 400)
+class TransformError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransformError';
+    this.status = 400;
+  }
+}
+
+function parseInteger(value, name, min, max) {
+  if (!/^-?\d+$/.test(String(value))) {
+    throw new TransformError(`Invalid ${name}. Must be an integer between ${min} and ${max}`);
+  }
+  const number = parseInt(value, 10);
+  if (number < min || number > max) {
+    throw new TransformError(`Invalid ${name}. Must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseDimension(value, name) {
+  if (!/^\d+$/.test(String(value)) || parseInt(value, 10) <= 0 || parseInt(value, 10) > config.maxDimension) {
+    throw new TransformError(`Invalid ${name}. Max: ${config.maxDimension}x${config.maxDimension}`);
+  }
+  return parseInt(value, 10);
+}
+
+function parseChoice(value, name, choices) {
+  if (!choices.includes(value)) {
+    throw new TransformError(`Invalid ${name}. Allowed: ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+// Fill in defaults and check that the combination makes sense
+function normalizeOptions(options) {
+  const normalized = { ...options };
+
+  if (normalized.fit === undefined) {
+    normalized.fit = DEFAULT_FIT;
+  }
+
+  if (normalized.gravity !== undefined && !['cover', 'contain'].includes(normalized.fit)) {
+    throw new TransformError('gravity can only be used with fit=cover or fit=contain');
+  }
+
+  if (normalized.rotate !== undefined) {
+    normalized.rotate = ((normalized.rotate % 360) + 360) % 360;
+    if (normalized.rotate === 0) {
+      delete normalized.rotate;
+    }
+  }
+
+  return normalized;
+}
+
+// Parse ?w=&h=&fit=&format=&q=&blur=&rotate=&gravity= into transformation options.
+// Returns null when the query asks for no transformation at all.
+function parseTransformQuery(query) {
+  const options = {};
+
+  if (query.w !== undefined) {
+    options.width = parseDimension(query.w, 'width');
+  }
+  if (query.h !== undefined) {
+    options.height = parseDimension(query.h, 'height');
+  }
+  if (query.fit !== undefined) {
+    options.fit = parseChoice(query.fit, 'fit', FITS);
+  }
+  if (query.format !== undefined) {
+    options.format = parseChoice(query.format === 'jpg' ? 'jpeg' : query.format, 'format', FORMATS);
+  }
+  if (query.q !== undefined) {
+    options.quality = parseInteger(query.q, 'quality', 1, 100);
+  }
+  if (query.blur !== undefined) {
+    const blur = Number(query.blur);
+    if (!Number.isFinite(blur) || blur < 0.3 || blur > 1000) {
+      throw new TransformError('Invalid blur. Must be a number between 0.3 and 1000');
+    }
+    options.blur = blur;
+  }
+  if (query.rotate !== undefined) {
+    options.rotate = parseInteger(query.rotate, 'rotate', -360, 360);
+  }
+  if (query.gravity !== undefined) {
+    options.gravity = parseChoice(query.gravity, 'gravity', GRAVITIES);
+  }
+
+  if (Object.keys(options).length === 0) {
+    return null;
+  }
+
+  return normalizeOptions(options);
+}
+
+// Options for the legacy /images/:id/:width/:height form
+function parseSizePath(width, height) {
+  return normalizeOptions({
+    width: parseDimension(width, 'dimensions'),
+    height: parseDimension(height, 'dimensions')
+  });
+}
+
+// Canonical, filesystem-safe name for a set of options, e.g. "200x200" or "800x-cover-avif-q70-gnorth".
+// Every option that changes the output is part of it, so it doubles as the cache key.
+function describeTransform(options) {
+  if (!options) {
+    return 'original';
+  }
+
+  const parts = [`${options.width || ''}x${options.height || ''}`];
+  if (options.fit !== DEFAULT_FIT) parts.push(options.fit);
+  if (options.format) parts.push(options.format);
+  if (options.quality !== undefined) parts.push(`q${options.quality}`);
+  if (options.blur !== undefined) parts.push(`blur${options.blur}`);
+  if (options.rotate !== undefined) parts.push(`r${options.rotate}`);
+  if (options.gravity !== undefined) parts.push(`g${options.gravity}`);
+
+  return parts.join('-');
+}
+
+// Inverse of describeTransform, used to accept variant names from API clients
+function parseVariant(name) {
+  if (name === 'original') {
+    return null;
+  }
+
+  const [size, ...rest] = String(name).split('-');
+  const sizeMatch = /^(\d*)x(\d*)$/.exec(size);
+  if (!sizeMatch) {
+    throw new TransformError(`Invalid variant "${name}"`);
+  }
+
+  const query = {};
+  if (sizeMatch[1]) query.w = sizeMatch[1];
+  if (sizeMatch[2]) query.h = sizeMatch[2];
+
+  for (const part of rest) {
+    let match;
+    if (FITS.includes(part)) query.fit = part;
+    else if (FORMATS.includes(part)) query.format = part;
+    else if ((match = /^q(\d+)$/.exec(part))) query.q = match[1];
+    else if ((match = /^blur([\d.]+)$/.exec(part))) query.blur = match[1];
+    else if ((match = /^r(\d+)$/.exec(part))) query.rotate = match[1];
+    else if ((match = /^g([a-z]+)$/.exec(part))) query.gravity = match[1];
+    else throw new TransformError(`Invalid variant "${name}"`);
+  }
+
+  const options = parseTransformQuery(query);
+  if (!options) {
+    throw new TransformError(`Invalid variant "${name}"`);
+  }
+  return options;
+}
+
+// Query string that requests the given options from /images/:id
+function toQueryString(options) {
+  const params = new URLSearchParams();
+  if (options.width) params.set('w', options.width);
+  if (options.height) params.set('h', options.height);
+  if (options.fit !== DEFAULT_FIT) params.set('fit', options.fit);
+  if (options.format) params.set('format', options.format);
+  if (options.quality !== undefined) params.set('q', options.quality);
+  if (options.blur !== undefined) params.set('blur', options.blur);
+  if (options.rotate !== undefined) params.set('rotate', options.rotate);
+  if (options.gravity !== undefined) params.set('gravity', options.gravity);
+  return params.toString();
+}
+
+// Media types listed in an Accept header with a non-zero q value
+function acceptedTypes(acceptHeader) {
+  return String(acceptHeader || '')
+    .split(',')
+    .map(part => part.trim().split(';'))
+    .filter(([, ...params]) => !params.some(param => /^\s*q=0(\.0*)?\s*$/.test(param)))
+    .map(([type]) => type.trim().toLowerCase());
+}
+
+// Best format the client accepts: AVIF, then WebP, then something every browser can show.
+// Wildcards are ignored because browsers send */* even when they can't decode AVIF.
+function negotiateFormat(acceptHeader, sourceFormat) {
+  const accepted = acceptedTypes(acceptHeader);
+  for (const format of config.negotiatedFormats) {
+    if (accepted.includes(`image/${format}`)) {
+      return format;
+    }
+  }
+
+  if (['jpeg', 'png'].includes(sourceFormat)) {
+    return sourceFormat;
+  }
+  // GIF, WebP and anything else may carry transparency, so fall back to PNG
+  return 'png';
+}
+
+// Add the transformation steps to a sharp pipeline, encoding to the given format
+function applyTransform(pipeline, options, format) {
+  if (options.rotate !== undefined) {
+    pipeline = pipeline.rotate(options.rotate);
+  }
+
+  if (options.width || options.height) {
+    pipeline = pipeline.resize(options.width || null, options.height || null, {
+      fit: options.fit,
+      position: options.gravity,
+      withoutEnlargement: true
+    });
+  }
+
+  if (options.blur !== undefined) {
+    pipeline = pipeline.blur(options.blur);
+  }
+
+  const formatOptions = {};
+  if (options.quality !== undefined) {
+    formatOptions.quality = options.quality;
+  } else if (format !== 'png' && config.formats[format]) {
+    formatOptions.quality = config.formats[format].quality;
+  }
+
+  return pipeline.toFormat(format, formatOptions);
+}
+
+module.exports = {
+  FORMATS,
+  TransformError,
+  negotiateFormat,
+  parseTransformQuery,
+  parseSizePath,
+  describeTransform,
+  parseVariant,
+  toQueryString,
+  applyTransform
+};
@@ -0,0 +1,219 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+// Short-lived state that expires on its own: logins waiting for their second step, TOTP secrets
+// waiting to be confirmed and passkey challenges. Every store implements:
+//   get(key)                  the value, or null if missing or expired
+//   set(key, value, ttlMs)    store a JSON-serialisable value for ttlMs milliseconds
+//   delete(key)
+//   take(key)                 get and delete in one step, so a value is only used once even
+//                             when concurrent requests race for it
+//   sweep()                   remove expired entries; resolves to how many were removed
+//
+// STATE_STORE=file (the default) keeps each entry in its own file under config.stateStorePath,
+// so pending logins survive a restart. STATE_STORE=memory keeps them in the process. Either way the
+// state belongs to one server process: users, sessions and API keys live in that process's
+// database (see storage.js), so running several processes on one storage directory isn't supported.
+
+// In-process store
+function createMemoryStore() {
+  const entries = new Map();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      // Copied, like the file store, so changing a value only takes effect through set()
+      return entry ? JSON.parse(entry.json) : null;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { json: JSON.stringify(value), expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async take(key) {
+      const entry = live(key);
+      entries.delete(key);
+      return entry ? JSON.parse(entry.json) : null;
+    },
+
+    async sweep() {
+      let removed = 0;
+      for (const key of Array.from(entries.keys())) {
+        if (!live(key)) {
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+// Store keeping one file per entry in a directory. Files are written to a temp name and renamed,
+// so readers never see a partial entry, and take() claims a file by renaming it first, so only
+// one request gets it.
+function createFileStore(dir) {
+  const STALE_TEMP_AGE = 60 * 60 * 1000; // Leftover temp files (from a crash mid-write) are removed after this
+
+  function filePath(key) {
+    return path.join(dir, `${crypto.createHash('sha256').update(String(key)).digest('hex')}.json`);
+  }
+
+  function tempPath(file, suffix) {
+    return `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.${suffix}`;
+  }
+
+  // The entry in a file, or null if the file is missing or unreadable
+  async function read(file) {
+    try {
+      return JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  return {
+    async get(key) {
+      const file = filePath(key);
+      const entry = await read(file);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        await fsp.unlink(file).catch(() => {});
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      const file = filePath(key);
+      const temp = tempPath(file, 'tmp');
+      await fsp.mkdir(dir, { recursive: true });
+      try {
+        await fsp.writeFile(temp, JSON.stringify({ value, expiresAt: Date.now() + ttlMs }));
+        await fsp.rename(temp, file);
+      } catch (error) {
+        await fsp.unlink(temp).catch(() => {});
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fsp.unlink(filePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+
+    async take(key) {
+      const file = filePath(key);
+      const claimed = tempPath(file, 'taken');
+      try {
+        await fsp.rename(file, claimed);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+      const entry = await read(claimed);
+      await fsp.unlink(claimed).catch(() => {});
+      return entry && entry.expiresAt > Date.now() ? entry.value : null;
+    },
+
+    async sweep() {
+      let names;
+      try {
+        names = await fsp.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return 0;
+        }
+        throw error;
+      }
+
+      let removed = 0;
+      const now = Date.now();
+      for (const name of names) {
+        const file = path.join(dir, name);
+        if (name.endsWith('.json')) {
+          const entry = await read(file);
+          if (entry && entry.expiresAt > now) {
+            continue;
+          }
+        } else {
+          const stats = await fsp.stat(file).catch(() => null);
+          if (stats && now - stats.mtimeMs < STALE_TEMP_AGE) {
+            continue;
+          }
+        }
+        await fsp.unlink(file).catch(() => {});
+        removed++;
+      }
+      return removed;
+    }
+  };
+}
+
+const stores = [];
+
+// Create the store for one kind of state (used as the directory name by the file store)
+function createTtlStore(name) {
+  let store;
+  switch (config.stateStore) {
+    case 'memory':
+      store = createMemoryStore();
+      break;
+    case 'file':
+      store = createFileStore(path.join(config.stateStorePath, name));
+      break;
+    default:
+      throw new Error(`Unknown state store "${config.stateStore}". Use "file" or "memory"`);
+  }
+  stores.push(store);
+  return store;
+}
+
+// Remove expired entries from every store periodically
+function startExpiryJob() {
+  const timer = setInterval(() => {
+    Promise.all(stores.map(store => store.sweep()))
+      .then(counts => {
+        const removed = counts.reduce((sum, count) => sum + count, 0);
+        if (removed > 0) {
+          console.log(`🧹 Removed ${removed} expired login state entr${removed === 1 ? 'y' : 'ies'}`);
+        }
+      })
+      .catch(error => console.error('State sweep error:', error));
+  }, config.stateSweepInterval);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createTtlStore,
+  startExpiryJob
+};
@@ -1,7 +1,14 @@
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const jwt = require('jsonwebtoken');
 const config = require('./config');
+const { users, apiKeys, sessions } = require('./storage');
+const { ROLES, roleOf, requestPermissions } = require('./accounts');
+const { parseApiKey, verifyApiKeySecret, isExpired, keyPermissions } = require('./apikeys');
+const { isSessionExpired } = require('./sessions');
+const { audit } = require('./audit');
 
 // Verify JWT token
 function verifyToken(token) {
@@ -12,42 +19,195 @@ function verifyToken(token) {
   }
 }
 
-// Validate JWT token from request headers
-function validateToken(req, res, next) {
+// API keys only record when they were last used (and add an apikey.use audit event) once per this
+// interval, so busy integrations don't add a write to every request
+const API_KEY_USE_RESOLUTION = 60 * 1000;
+
+function recordApiKeyUse(record, req) {
+  if (record.lastUsedAt && Date.now() - Date.parse(record.lastUsedAt) < API_KEY_USE_RESOLUTION) {
+    return;
+  }
+  apiKeys.update(record.id, current => ({ ...current, lastUsedAt: new Date().toISOString() }))
+    .catch(error => console.warn('Could not record API key use:', error));
+  audit(req, 'apikey.use', {
+    actor: record.ownerId,
+    apiKeyId: record.id,
+    target: record.id,
+    details: { name: record.name, method: req.method, path: req.path }
+  });
+}
+
+// Audit a request made with one of a user's keys that was turned away
+function auditApiKeyFailure(record, req, reason) {
+  audit(req, 'apikey.use', {
+    outcome: 'failure',
+    actor: record.ownerId,
+    apiKeyId: record.id,
+    target: record.id,
+    details: { name: record.name, method: req.method, path: req.path, reason }
+  });
+}
+
+// Check the credentials of a request: a JWT access token (Authorization: Bearer) whose session is
+// still signed in, a per-user API key (X-API-Key or Bearer; never the query string, where it
+// would be logged) or, only with config.allowLegacyApiKey, the shared API_KEY. Returns { user } (null for the shared key, which
+// has full access) or { status, error }.
+function authenticate(req) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-  
-  // Also check legacy API key for backward compatibility
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-  
-  if (token) {
+  const apiKey = req.headers['x-api-key'] || (parseApiKey(token) ? token : null);
+
+  if (token && !parseApiKey(token)) {
     const decoded = verifyToken(token);
     if (decoded) {
-      req.user = decoded;
-      return next();
+      const session = decoded.sid && sessions.get(decoded.sid);
+      if (!session || session.username !== decoded.username || isSessionExpired(session)) {
+        return { status: 401, error: 'Unauthorized. This session has been signed out. Please log in again.' };
+      }
+      const user = users.get(decoded.username);
+      if (!user) {
+        return { status: 401, error: 'Unauthorized. This account no longer exists.' };
+      }
+      if (user.disabled) {
+        return { status: 403, error: 'This account has been disabled' };
+      }
+      const role = roleOf(user);
+      return { user: { ...decoded, role, permissions: ROLES[role] } };
+    }
+  }
+
+  if (apiKey) {
+    const parsed = parseApiKey(apiKey);
+    if (parsed) {
+      const record = apiKeys.get(parsed.id);
+      if (!record) {
+        return { status: 401, error: 'Unauthorized. Invalid API key.' };
+      }
+      if (!verifyApiKeySecret(record, parsed.secret)) {
+        auditApiKeyFailure(record, req, 'wrong secret');
+        return { status: 401, error: 'Unauthorized. Invalid API key.' };
+      }
+      if (isExpired(record)) {
+        auditApiKeyFailure(record, req, 'expired');
+        return { status: 401, error: 'Unauthorized. This API key has expired.' };
+      }
+      const owner = users.get(record.ownerId);
+      if (!owner || owner.disabled) {
+        auditApiKeyFailure(record, req, 'owner disabled');
+        return { status: 403, error: 'The account this API key belongs to has been disabled' };
+      }
+      recordApiKeyUse(record, req);
+      const role = roleOf(owner);
+      return {
+        user: {
+          userId: owner.username,
+          username: owner.username,
+          role,
+          permissions: keyPermissions(record.scopes, role),
+          apiKeyId: record.id
+        }
+      };
+    }
+    if (config.allowLegacyApiKey && apiKey === config.apiKey) {
+      return { user: null };
     }
   }
-  
-  // Legacy API key support
-  if (apiKey && apiKey === config.apiKey) {
-    return next();
+
+  return { status: 401, error: 'Unauthorized. Invalid or missing authentication token.' };
+}
+
+// Require valid credentials (see authenticate); req.user describes who is calling
+function validateToken(req, res, next) {
+  const result = authenticate(req);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
   }
-  
-  return res.status(401).json({ error: 'Unauthorized. Invalid or missing authentication token.' });
+  if (result.user) {
+    req.user = result.user;
+  }
+  next();
 }
 
 // Alias for backward compatibility
 const validateApiKey = validateToken;
 
+// Let the request through only if it has the permission (use after validateToken)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!requestPermissions(req).includes(permission)) {
+      const caller = req.user && req.user.apiKeyId ? 'This API key' : `The ${req.user.role} role`;
+      return res.status(403).json({ error: `Forbidden. ${caller} does not have the ${permission} permission` });
+    }
+    next();
+  };
+}
+
+// Only let logged-in users through, not API keys (for managing keys and account security)
+function requireSession(req, res, next) {
+  if (!req.user || req.user.apiKeyId) {
+    return res.status(403).json({ error: 'Forbidden. Log in with your username and password to do this' });
+  }
+  next();
+}
+
 // Generate unique image ID
 function generateImageId() {
   return uuidv4().replace(/-/g, ''); // Remove dashes for cleaner URLs
 }
 
+// SHA-256 (hex) of everything read from a stream
+function hashStream(stream) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', reject);
+  });
+}
+
+// SHA-256 (hex) of a file on disk
+function hashFile(filePath) {
+  return hashStream(fs.createReadStream(filePath));
+}
+
+// Normalise tags from a form field or JSON body: a comma-separated string or an array of strings
+function parseTags(input) {
+  if (input === undefined || input === null || input === '') {
+    return [];
+  }
+
+  let list = input;
+  if (typeof input === 'string') {
+    const trimmed = input.trim();
+    list = trimmed.split(',');
+    if (trimmed.startsWith('[')) {
+      try {
+        list = JSON.parse(trimmed);
+      } catch {
+        // Not JSON after all; treat it as a comma-separated list
+      }
+    }
+  }
+  if (!Array.isArray(list)) {
+    list = [list];
+  }
+
+  const tags = list
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(tag => tag.length > 0 && tag.length <= 64);
+  return Array.from(new Set(tags));
+}
+
 module.exports = {
   validateApiKey,
   validateToken,
+  authenticate,
+  requirePermission,
+  requireSession,
   verifyToken,
-  generateImageId
+  generateImageId,
+  hashStream,
+  hashFile,
+  parseTags
 };
 
@@ -0,0 +1,118 @@
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const config = require('./config');
+
+// Formats an upload may be, identified by their first bytes rather than the client's Content-Type
+// or file name. `format` is the name sharp's metadata() reports for it.
+const SIGNATURES = [
+  { format: 'jpeg', mimeType: 'image/jpeg', extension: '.jpg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { format: 'png', mimeType: 'image/png', extension: '.png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { format: 'gif', mimeType: 'image/gif', extension: '.gif', matches: bytes => ['GIF87a', 'GIF89a'].includes(bytes.toString('latin1', 0, 6)) },
+  { format: 'webp', mimeType: 'image/webp', extension: '.webp', matches: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+// Error raised for uploads that aren't acceptable images (sent back with the given status)
+class ImageValidationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.status = status;
+  }
+}
+
+// Identify a file's format from its first bytes; null if it isn't a format we know
+async function detectFormat(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(16), 0, 16, 0);
+    const bytes = buffer.subarray(0, bytesRead);
+    return SIGNATURES.find(signature => bytes.length >= 12 && signature.matches(bytes)) || null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Check that an uploaded file really is an allowed image, decodes cleanly and fits the upload
+// policy. Resolves to the detected format, MIME type and extension plus the image's dimensions.
+async function inspectUpload(filePath) {
+  const detected = await detectFormat(filePath);
+  if (!detected || !config.allowedMimeTypes.includes(detected.mimeType)) {
+    throw new ImageValidationError(415, `Unsupported file type. Allowed: ${config.allowedMimeTypes.join(', ')}`);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(filePath, { failOn: 'error' }).metadata();
+    // metadata() only reads the header; stats() decodes every pixel, so truncated or corrupt
+    // files are caught here instead of when the first variant is rendered
+    await sharp(filePath, { failOn: 'error' }).stats();
+  } catch (error) {
+    throw new ImageValidationError(422, `The file could not be decoded as ${detected.format.toUpperCase()}: ${error.message}`);
+  }
+
+  if (metadata.format !== detected.format) {
+    throw new ImageValidationError(422, `The file looks like ${detected.format.toUpperCase()} but does not decode as one`);
+  }
+
+  // EXIF orientations 5-8 swap width and height once the image is displayed upright
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const { maxWidth, maxHeight } = config.uploadPolicy;
+  if ((maxWidth && width > maxWidth) || (maxHeight && height > maxHeight)) {
+    throw new ImageValidationError(413, `Image is ${width}x${height} pixels. Maximum is ${maxWidth || 'any'}x${maxHeight || 'any'}`);
+  }
+
+  return {
+    format: detected.format,
+    mimeType: detected.mimeType,
+    extension: detected.extension,
+    width: metadata.width,
+    height: metadata.height,
+    orientation: metadata.orientation,
+    hasMetadata: Boolean(metadata.exif || metadata.xmp || metadata.iptc)
+  };
+}
+
+// Re-encode an image without its EXIF/XMP/IPTC metadata (GPS position, camera details...).
+// The EXIF orientation is applied first so the image stays upright. The file is replaced in place;
+// resolves to its new dimensions and size.
+async function stripMetadata(filePath, inspected) {
+  const tempPath = `${filePath}.clean`;
+  const animated = inspected.format === 'gif' || inspected.format === 'webp';
+  let pipeline = sharp(filePath, { animated });
+  if (inspected.orientation > 1) {
+    pipeline = pipeline.rotate();
+  }
+
+  if (inspected.format === 'jpeg') {
+    pipeline = pipeline.jpeg({ quality: 95, mozjpeg: true });
+  } else if (inspected.format === 'png') {
+    pipeline = pipeline.png();
+  } else if (inspected.format === 'webp') {
+    pipeline = pipeline.webp({ quality: 95 });
+  } else {
+    pipeline = pipeline.gif();
+  }
+
+  try {
+    const info = await pipeline.toFile(tempPath);
+    await fs.rename(tempPath, filePath);
+    const rotated = inspected.orientation >= 5;
+    return {
+      width: rotated ? inspected.height : inspected.width,
+      height: rotated ? inspected.width : inspected.height,
+      size: info.size
+    };
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  ImageValidationError,
+  detectFormat,
+  inspectUpload,
+  stripMetadata
+};
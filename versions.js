@@ -0,0 +1,70 @@
+const config = require('./config');
+
+// An image's original can be replaced while its id (and so every URL) stays the same. The record
+// describes the current original; replaced originals can be kept in record.versions (newest
+// first) so they can be downloaded or restored later.
+
+// Fields that describe one original
+const ORIGINAL_FIELDS = ['originalName', 'mimeType', 'size', 'width', 'height', 'format', 'extension', 'contentHash'];
+
+// Storage key of an image's current original. Duplicate uploads and replacements point at their
+// bytes with blobKey; older records are stored under their own id.
+function originalStorageKey(imageMeta) {
+  return imageMeta.blobKey || `${imageMeta.id}${imageMeta.extension}`;
+}
+
+// Every storage key a record refers to: the current original and all kept versions
+function referencedKeys(imageMeta) {
+  return [originalStorageKey(imageMeta), ...(imageMeta.versions || []).map(version => version.blobKey)];
+}
+
+function currentVersion(imageMeta) {
+  return imageMeta.version || 1;
+}
+
+// The current original of a record as a version entry
+function snapshotVersion(imageMeta, replacedAt) {
+  const entry = { version: currentVersion(imageMeta), blobKey: originalStorageKey(imageMeta) };
+  for (const field of ORIGINAL_FIELDS) {
+    entry[field] = imageMeta[field];
+  }
+  entry.uploadedAt = imageMeta.updatedAt || imageMeta.uploadedAt;
+  entry.replacedAt = replacedAt;
+  return entry;
+}
+
+// Swap the original of a record. `next` has the ORIGINAL_FIELDS and blobKey of the new original.
+// The previous original is kept as a version unless keepPrevious is false; versions beyond
+// config.maxImageVersions are dropped. Returns the new record and the storage keys of the
+// versions that were dropped (the caller deletes them once nothing else refers to them).
+function replaceOriginal(current, next, { keepPrevious = true, restoredVersion } = {}) {
+  const now = new Date().toISOString();
+  let versions = (current.versions || []).filter(version => version.version !== restoredVersion);
+  const dropped = [];
+
+  const previous = snapshotVersion(current, now);
+  if (keepPrevious && config.maxImageVersions > 0) {
+    versions = [previous, ...versions];
+  } else {
+    dropped.push(previous);
+  }
+  dropped.push(...versions.slice(config.maxImageVersions));
+  versions = versions.slice(0, config.maxImageVersions);
+
+  const record = { ...current, blobKey: next.blobKey };
+  for (const field of ORIGINAL_FIELDS) {
+    record[field] = next[field];
+  }
+  record.version = currentVersion(current) + 1;
+  record.updatedAt = now;
+  record.versions = versions;
+
+  return { record, releasedKeys: dropped.map(version => version.blobKey) };
+}
+
+module.exports = {
+  originalStorageKey,
+  referencedKeys,
+  currentVersion,
+  replaceOriginal
+};